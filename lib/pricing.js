@@ -0,0 +1,154 @@
+// Цены платных роутов в кредитах: маршрут → режим → кредиты.
+// Только чистые функции от запроса — server.js решает, что с ценой делать.
+
+// Можно переопределить через CREDIT_PRICES='{"/api/brand-post":{"full":3}}'
+export const PRICE_TABLE = {
+  "/api/brand-post": { text_only: 1, image_only: 2, full: 2 },
+  "/api/brand-post/batch": { row: 2 }, // × строк кампании
+  // add_object дорисовывает фронт на canvas: модели нет — и кредитов не берём
+  "/api/image-studio": { image: 2, add_object: 0 }, // × batch_count
+  "/api/video-studio": { video_5s: 5, video_10s: 10 },
+  "/api/video-reels": {
+    text_only: 1,
+    image_only: 2,
+    video_5s: 5,
+    video_10s: 10,
+  },
+  "/api/trim25": { video_edit: 1 },
+  "/api/zoom2s": { video_edit: 1 },
+};
+
+try {
+  const override = JSON.parse(process.env.CREDIT_PRICES || "{}");
+  for (const [route, modes] of Object.entries(override)) {
+    PRICE_TABLE[route] = { ...(PRICE_TABLE[route] || {}), ...modes };
+  }
+} catch (e) {
+  console.warn("[PRICING] bad CREDIT_PRICES JSON, ignored:", e.message || e);
+}
+
+// WAN принимает только 5 или 10 секунд. Длительность разбираем так же, как
+// сам роут: video-studio — через Number, reels — через parseInt
+export function wanSecondsOf(route, body) {
+  const requested = body.video_seconds ?? body.duration_seconds ?? 5;
+  const seconds =
+    route === "/api/video-reels"
+      ? parseInt(requested || 5, 10)
+      : Number(requested);
+  return seconds <= 5 ? 5 : 10;
+}
+
+// batch_count — целое 1..8. Мусор не молча обрезаем, а отказываем (400):
+// NaN дошёл бы до кредитов и обнулил бы счётчик ключа
+export const MAX_BATCH_COUNT = 8;
+
+export function batchCountOf(body) {
+  const raw = body.batch_count;
+  if (raw === undefined || raw === null || raw === "") return { count: 1 };
+  const n = /^\s*\d+\s*$/.test(String(raw)) ? Number(raw) : NaN;
+  if (!Number.isInteger(n) || n < 1 || n > MAX_BATCH_COUNT)
+    return {
+      error: `batch_count must be an integer from 1 to ${MAX_BATCH_COUNT}`,
+    };
+  return { count: n };
+}
+
+// Определяем режим запроса ровно так же, как его потом разберёт хендлер
+export function resolvePriceMode(route, req, body) {
+  if (route === "/api/brand-post") {
+    if (body.text_only) return { mode: "text_only" };
+    if (body.image_only) return { mode: "image_only" };
+    const options =
+      typeof body.options === "object" ? body.options : { image: true };
+    return { mode: options.image === false ? "text_only" : "full" };
+  }
+
+  if (route === "/api/brand-post/batch") {
+    // строки уже разобраны (campaignRows) — платим за каждую с идеей
+    const rows = (req.campaign?.rows || []).filter((r) => r.idea).length;
+    return { mode: "row", units: Math.max(1, rows), rows };
+  }
+
+  if (route === "/api/image-studio") {
+    const action = String(
+      body.action || (body.image || body.image_data ? "img2img" : "text2img")
+    ).toLowerCase();
+    const batch = batchCountOf(body);
+    if (batch.error) return { error: batch.error };
+    const units = batch.count;
+    return action === "add_object"
+      ? { mode: "add_object", units, action }
+      : { mode: "image", units, action };
+  }
+
+  if (route === "/api/video-studio") {
+    const seconds = wanSecondsOf(route, body);
+    return { mode: `video_${seconds}s`, seconds };
+  }
+
+  if (route === "/api/video-reels") {
+    const textOnly =
+      String(req.header("X-Text-Only") || "").trim() === "1" ||
+      !!body.text_only ||
+      !!body.force_text_only;
+    if (textOnly) return { mode: "text_only" };
+
+    const requestedMode = String(body.mode || "").toLowerCase();
+    const forceVideo =
+      String(req.header("X-Force-Video") || "").trim() === "1" ||
+      ["text2video", "video", "reels"].includes(requestedMode);
+    const options =
+      typeof body.options === "object" ? body.options : { image: true };
+    if (!forceVideo && body.image_only && options.image !== false)
+      return { mode: "image_only" };
+
+    const seconds = wanSecondsOf(route, body);
+    return { mode: `video_${seconds}s`, seconds };
+  }
+
+  // trim/zoom: multipart ещё не разобран, цена плоская
+  return { mode: "video_edit" };
+}
+
+// Сколько кредитов спишем за этот запрос (body — уже разобранный req.body)
+export function priceRequest(req, body) {
+  const route = req.path;
+  const { mode, units = 1, error, ...details } = resolvePriceMode(
+    route,
+    req,
+    body
+  );
+  if (error) return { route, error };
+  const table = PRICE_TABLE[route] || {};
+  const unitPrice = typeof table[mode] === "number" ? table[mode] : 1;
+  return { route, mode, units, credits: unitPrice * units, ...details };
+}
+
+// Есть ли в ответе настоящий ассет (картинка / видео / файл после ffmpeg;
+// для text_only — подпись)
+export function deliveredAssets(payload, mode) {
+  if (!payload || typeof payload !== "object" || payload.ok === false) return 0;
+  if (Array.isArray(payload.batch))
+    return payload.batch.filter((x) => x && x.ok && x.image_url).length;
+  if (payload.image_url || payload.video_url || payload.url) return 1;
+  // text_only: отданный ассет — сама подпись
+  return mode === "text_only" && payload.caption ? 1 : 0;
+}
+
+// Сколько кредитов оставляем себе за фактически отданный результат
+export function earnedCredits(hold, payload) {
+  const assets = deliveredAssets(payload, hold.mode);
+  if (!assets) return 0;
+
+  const table = PRICE_TABLE[hold.route] || {};
+
+  // reels упал с видео на картинку — берём как за картинку
+  if (payload.mode === "image_fallback" && typeof table.image_only === "number")
+    return Math.min(hold.credits, table.image_only);
+
+  // батч: платим только за удавшиеся кадры
+  if (Array.isArray(payload.batch) && hold.units > 1)
+    return Math.min(hold.credits, (hold.credits / hold.units) * assets);
+
+  return hold.credits;
+}
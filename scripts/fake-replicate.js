@@ -0,0 +1,196 @@
+// Локальный фейковый Replicate — гонять webhook/polling-поток без реального API.
+//
+//   FAKE_REPLICATE_PORT=5055 node scripts/fake-replicate.js
+//
+// На сервере:
+//   REPLICATE_API_BASE=http://127.0.0.1:5055/v1 REPLICATE_API_TOKEN=fake
+//   PUBLIC_ORIGIN=http://127.0.0.1:10000   (без него — только опрос)
+//
+// Ручки как у Replicate: POST /v1/predictions, POST /v1/models/:owner/:name/predictions,
+// GET /v1/predictions/:id, POST /v1/predictions/:id/cancel, GET /v1/webhooks/default/secret.
+// Предсказание идёт starting → processing (логи с "NN%|") → succeeded за FAKE_RUN_MS.
+// Промпт со словом "fail" — failed; "slow" — в 10 раз дольше.
+// Выход лежит тут же: GET /files/:id.png|mp4 (крошечная PNG / пустышка вместо видео).
+
+import http from "http";
+import crypto from "crypto";
+
+const PORT = Number(process.env.FAKE_REPLICATE_PORT || 5055);
+const RUN_MS = Number(process.env.FAKE_RUN_MS || 3000);
+const SECRET =
+  process.env.FAKE_REPLICATE_SECRET ||
+  `whsec_${crypto.randomBytes(24).toString("base64")}`;
+
+const predictions = new Map();
+
+// PNG 1×1
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(raw || "{}"));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+}
+
+// Подпись как у Replicate (Standard Webhooks)
+async function deliver(p, event) {
+  if (!p.webhook) return;
+  if (p.webhook_events_filter && !p.webhook_events_filter.includes(event))
+    return;
+
+  const body = JSON.stringify(view(p));
+  const id = `msg_${crypto.randomBytes(8).toString("hex")}`;
+  const ts = String(Math.floor(Date.now() / 1000));
+  const key = Buffer.from(SECRET.replace(/^whsec_/, ""), "base64");
+  const sig = crypto
+    .createHmac("sha256", key)
+    .update(`${id}.${ts}.${body}`)
+    .digest("base64");
+
+  try {
+    const r = await fetch(p.webhook, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "webhook-id": id,
+        "webhook-timestamp": ts,
+        "webhook-signature": `v1,${sig}`,
+      },
+      body,
+    });
+    console.log(`[fake-replicate] ${p.id} ${event} → ${r.status}`);
+  } catch (e) {
+    console.log(`[fake-replicate] ${p.id} ${event} → ${e.message}`);
+  }
+}
+
+function view(p) {
+  const { timers, webhook_events_filter, host, ...rest } = p;
+  return rest;
+}
+
+function outputFor(p) {
+  const video = /wan|video|i2v|kling|veo/i.test(p.model || "");
+  return `http://${p.host}/files/${p.id}.${video ? "mp4" : "png"}`;
+}
+
+function start(p) {
+  const prompt = String(p.input?.prompt || "");
+  const runMs = /slow/i.test(prompt) ? RUN_MS * 10 : RUN_MS;
+  const steps = 4;
+  const at = (ms, fn) => p.timers.push(setTimeout(fn, ms));
+
+  at(200, () => {
+    p.status = "processing";
+    p.started_at = new Date().toISOString();
+    deliver(p, "start");
+  });
+  for (let i = 1; i <= steps; i++) {
+    at(200 + (runMs * i) / (steps + 1), () => {
+      const pct = Math.round((100 * i) / steps);
+      p.logs += `${pct}%|${"█".repeat(i)}| ${i}/${steps}\n`;
+      deliver(p, "logs");
+    });
+  }
+  at(200 + runMs, () => {
+    const failed = /fail/i.test(prompt);
+    p.status = failed ? "failed" : "succeeded";
+    p.error = failed ? "fake failure requested by prompt" : null;
+    p.output = failed ? null : [outputFor(p)];
+    p.completed_at = new Date().toISOString();
+    p.metrics = { predict_time: runMs / 1000 };
+    deliver(p, "completed");
+  });
+}
+
+function create(req, body, model) {
+  const id = crypto.randomBytes(10).toString("hex");
+  const base = `http://${req.headers.host}/v1/predictions/${id}`;
+  const p = {
+    id,
+    model: model || "fake/versioned-model",
+    version: body.version || null,
+    input: body.input || {},
+    status: "starting",
+    logs: "",
+    output: null,
+    error: null,
+    created_at: new Date().toISOString(),
+    urls: { get: base, cancel: `${base}/cancel` },
+    webhook: body.webhook || null,
+    webhook_events_filter: body.webhook_events_filter || null,
+    host: req.headers.host,
+    timers: [],
+  };
+  predictions.set(id, p);
+  start(p);
+  return p;
+}
+
+http
+  .createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const parts = url.pathname.split("/").filter(Boolean); // ["v1", ...]
+
+    if (req.method === "GET" && parts[0] === "files" && parts[1]) {
+      const png = parts[1].endsWith(".png");
+      res.writeHead(200, { "Content-Type": png ? "image/png" : "video/mp4" });
+      return res.end(png ? PNG : Buffer.alloc(16));
+    }
+
+    if (req.method === "GET" && url.pathname === "/v1/webhooks/default/secret")
+      return send(res, 200, { key: SECRET });
+
+    if (req.method === "POST" && url.pathname === "/v1/predictions")
+      return send(res, 201, view(create(req, await readJson(req))));
+
+    if (
+      req.method === "POST" &&
+      parts[1] === "models" &&
+      parts[4] === "predictions"
+    )
+      return send(
+        res,
+        201,
+        view(create(req, await readJson(req), `${parts[2]}/${parts[3]}`))
+      );
+
+    if (parts[1] === "predictions" && parts[2]) {
+      const p = predictions.get(parts[2]);
+      if (!p) return send(res, 404, { detail: "Not found." });
+
+      if (req.method === "POST" && parts[3] === "cancel") {
+        if (!["succeeded", "failed", "canceled"].includes(p.status)) {
+          p.timers.forEach(clearTimeout);
+          p.status = "canceled";
+          p.completed_at = new Date().toISOString();
+          console.log(`[fake-replicate] ${p.id} canceled`);
+          deliver(p, "completed");
+        }
+        return send(res, 200, view(p));
+      }
+      if (req.method === "GET") return send(res, 200, view(p));
+    }
+
+    send(res, 404, { detail: "Not found." });
+  })
+  .listen(PORT, () => {
+    console.log(`[fake-replicate] http://127.0.0.1:${PORT}/v1`);
+    console.log(`[fake-replicate] webhook secret: ${SECRET}`);
+  });
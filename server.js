@@ -7,6 +7,16 @@ import fetch from "node-fetch";
 import OpenAI from "openai";
 import "dotenv/config";
 
+// --- цены в кредитах
+import {
+  PRICE_TABLE,
+  priceRequest,
+  batchCountOf,
+  wanSecondsOf,
+  earnedCredits,
+  deliveredAssets,
+} from "./lib/pricing.js";
+
 // --- ffmpeg (trim/zoom/watermark)
 import ffmpegPath from "ffmpeg-static";
 import ffmpeg from "fluent-ffmpeg";
@@ -15,7 +25,13 @@ ffmpeg.setFfmpegPath(ffmpegPath);
 // --- uploads
 import multer from "multer";
 import path from "path";
+import os from "os";
 import fs from "fs";
+import crypto from "crypto";
+import { promisify } from "util";
+import { AsyncLocalStorage } from "async_hooks";
+import { EventEmitter } from "events";
+import archiver from "archiver";
 
 const app = express();
 app.set("trust proxy", true);
@@ -24,7 +40,14 @@ app.set("trust proxy", true);
 app.use((req, res, next) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-API-Key, Accept");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, X-API-Key, Accept, Prefer, Idempotency-Key, X-Job-Token"
+  );
+  res.setHeader(
+    "Access-Control-Expose-Headers",
+    "Retry-After, Location, Idempotent-Replayed"
+  );
   if (req.method === "OPTIONS") return res.sendStatus(204);
   next();
 });
@@ -34,7 +57,14 @@ app.use(
   cors({
     origin: true,
     methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "X-API-Key", "Accept"],
+    allowedHeaders: [
+      "Content-Type",
+      "X-API-Key",
+      "Accept",
+      "Prefer",
+      "Idempotency-Key",
+      "X-Job-Token",
+    ],
   })
 );
 app.options("*", (req, res) => res.sendStatus(204));
@@ -42,6 +72,14 @@ app.options("*", (req, res) => res.sendStatus(204));
 app.use(
   express.json({
     limit: "30mb",
+    // сырое тело нужно для проверки подписи вебхуков (платёжка, Replicate)
+    verify: (req, _res, buf) => {
+      if (
+        req.originalUrl.startsWith("/api/billing/webhook/") ||
+        req.originalUrl.startsWith("/api/replicate/webhook")
+      )
+        req.rawBody = buf;
+    },
   })
 );
 
@@ -68,6 +106,18 @@ function absUrl(req, p) {
 const UPLOAD_DIR = path.join(process.cwd(), "public", "uploads");
 fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 
+// Служебные файлы держим вне public/uploads — их не должно быть видно по /uploads
+const DATA_DIR = path.join(process.cwd(), "data");
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const REFUNDS_LOG = path.join(DATA_DIR, "refunds.jsonl");
+const USAGE_LOG = path.join(DATA_DIR, "usage.jsonl");
+const WEBHOOKS_LOG = path.join(DATA_DIR, "webhooks.jsonl");
+const AUDIT_LOG = path.join(DATA_DIR, "audit.jsonl");
+
+// старый keys.json лежит в uploads — наружу его не отдаём никогда
+app.use("/uploads/keys.json", (_req, res) => res.status(404).send("Not found"));
+
 app.use(
   "/uploads",
   express.static(UPLOAD_DIR, {
@@ -114,6 +164,81 @@ function readBody(raw) {
   return {};
 }
 
+// JSONL-журналы: одна запись на строку, только дописываем
+function appendJsonl(file, entry) {
+  try {
+    fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+  } catch (e) {
+    console.error(`[LOG] append to ${path.basename(file)} failed:`, e);
+  }
+}
+
+function readJsonl(file) {
+  let text = "";
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {} // битая строка (обрыв записи) — пропускаем
+  }
+  return out;
+}
+
+function toCsv(rows) {
+  return rows
+    .map((r) =>
+      r.map((c) => '"' + String(c ?? "").replace(/"/g, '""') + '"').join(",")
+    )
+    .join("\n");
+}
+
+// Обратное к toCsv: кавычки, "" внутри ячейки, переводы строк в ячейках.
+// Разделитель — "," или ";" (так сохраняет Excel с русской локалью)
+function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = src.split("\n", 1)[0];
+  const sep = !firstLine.includes(",") && firstLine.includes(";") ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else quoted = false;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
 function okUrl(v) {
   return typeof v === "string" && /^https?:\/\//i.test(v);
 }
@@ -160,57 +285,681 @@ function makeDataUrlSafe(dataUrl) {
   return s;
 }
 
-/* ====================== PAYWALL (keys.json) ====================== */
+/* ====================== STORE (json / sqlite) ====================== */
+// Маленькое хранилище записей по неймспейсам ("keys", "meta", ...).
+// API синхронный: get / list / put / remove / transact(fn).
+// transact — атомарно: либо применились все записи fn, либо ни одной.
+//
+// KEYS_STORE=json   (по умолчанию) data/store.json + data/store.json.journal
+//                   каждая транзакция сначала пишется в журнал (fsync),
+//                   снапшот — через temp-файл + rename; после краша журнал доигрывается
+// KEYS_STORE=sqlite data/store.sqlite (нужен Node 22.5+, node:sqlite),
+//                   транзакции BEGIN IMMEDIATE — безопасно и для нескольких процессов
+//
+// Задачи и Idempotency-записи (jobStore) при json-сторе живут отдельно —
+// data/jobs.json (JOBS_STORE_PATH): пишутся часто, и переписывать из-за них
+// снапшот ключей незачем. В sqlite запись построчная — там стор общий.
+
+const STORE_VERSION = 1;
+
+const clone = (v) => (v == null ? null : JSON.parse(JSON.stringify(v)));
+
+function createJsonStore(file, { snapshotDelayMs = 200 } = {}) {
+  const journalFile = `${file}.journal`;
+  let state = { version: STORE_VERSION, data: {} };
 
-const KEYS_DB = path.join(UPLOAD_DIR, "keys.json");
-let KEYS = {};
+  try {
+    state = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      // снапшот пишется через rename, так что битым он быть не должен —
+      // молча стартовать с пустой базой ключей нельзя
+      throw new Error(`[STORE] ${file} is unreadable: ${e.message || e}`);
+    }
+  }
+  state.data = state.data || {};
 
-// Пытаемся прочитать keys.json из public/uploads/keys.json
-try {
-  const raw = fs.readFileSync(KEYS_DB, "utf8");
-  KEYS = JSON.parse(raw);
-  console.log("[KEYS] Loaded keys from keys.json:", Object.keys(KEYS));
-} catch (e) {
-  console.warn(
-    "[KEYS] keys.json not found or invalid, starting with empty map:",
-    e.message || e
+  function applyOps(ops) {
+    for (const [op, ns, id, rec] of ops) {
+      if (op === "put") (state.data[ns] = state.data[ns] || {})[id] = rec;
+      else if (op === "del" && state.data[ns]) delete state.data[ns][id];
+    }
+  }
+
+  // доигрываем журнал (всё, что успели закоммитить до падения)
+  let replayed = 0;
+  for (const entry of readJsonl(journalFile)) {
+    applyOps(entry.ops || []);
+    replayed++;
+  }
+
+  function writeSnapshot() {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmp, "w");
+    try {
+      fs.writeSync(fd, JSON.stringify(state, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+    fs.ftruncateSync(journalFd, 0);
+  }
+
+  const journalFd = fs.openSync(journalFile, "a");
+  if (replayed) {
+    console.log(`[STORE] replayed ${replayed} journal entries`);
+    writeSnapshot();
+  }
+
+  // снапшот откладываем чуть-чуть: при пачке списаний пишем файл один раз
+  let snapshotTimer = null;
+  function scheduleSnapshot() {
+    if (snapshotTimer) return;
+    snapshotTimer = setTimeout(() => {
+      snapshotTimer = null;
+      try {
+        writeSnapshot();
+      } catch (e) {
+        console.error("[STORE] snapshot failed (journal kept):", e);
+      }
+    }, snapshotDelayMs);
+    snapshotTimer.unref();
+  }
+
+  let active = null;
+
+  function transact(fn) {
+    if (active) return fn(active); // вложенный вызов — та же транзакция
+
+    const writes = new Map();
+    const k = (ns, id) => `${ns}\u0000${id}`;
+    const tx = {
+      get(ns, id) {
+        const w = writes.get(k(ns, id));
+        if (w) return w[0] === "put" ? clone(w[3]) : null;
+        return clone(state.data[ns]?.[id]);
+      },
+      list(ns) {
+        const out = new Map(Object.entries(state.data[ns] || {}));
+        for (const [op, wns, id, rec] of writes.values()) {
+          if (wns !== ns) continue;
+          if (op === "put") out.set(id, rec);
+          else out.delete(id);
+        }
+        return [...out].map(([id, rec]) => [id, clone(rec)]);
+      },
+      put(ns, id, rec) {
+        writes.set(k(ns, id), ["put", ns, id, clone(rec)]);
+      },
+      remove(ns, id) {
+        const existed = !!tx.get(ns, id);
+        writes.set(k(ns, id), ["del", ns, id]);
+        return existed;
+      },
+    };
+
+    active = tx;
+    let result;
+    try {
+      result = fn(tx);
+    } finally {
+      active = null;
+    }
+    if (result && typeof result.then === "function")
+      throw new Error("store.transact(): callback must be synchronous");
+
+    if (writes.size) {
+      const ops = [...writes.values()];
+      fs.writeSync(journalFd, JSON.stringify({ ts: Date.now(), ops }) + "\n");
+      fs.fsyncSync(journalFd);
+      applyOps(ops);
+      scheduleSnapshot();
+    }
+    return result;
+  }
+
+  function flush() {
+    if (!snapshotTimer) return;
+    clearTimeout(snapshotTimer);
+    snapshotTimer = null;
+    writeSnapshot();
+  }
+
+  return { kind: "json", file, transact, flush };
+}
+
+async function createSqliteStore(file) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import("node:sqlite"));
+  } catch {
+    throw new Error("KEYS_STORE=sqlite needs Node 22.5+ (node:sqlite)");
+  }
+
+  const db = new DatabaseSync(file);
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    PRAGMA busy_timeout = 5000;
+    CREATE TABLE IF NOT EXISTS records (
+      ns   TEXT NOT NULL,
+      id   TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (ns, id)
+    );
+  `);
+
+  const qGet = db.prepare("SELECT data FROM records WHERE ns = ? AND id = ?");
+  const qList = db.prepare(
+    "SELECT id, data FROM records WHERE ns = ? ORDER BY rowid"
   );
-  KEYS = {};
+  const qPut = db.prepare(
+    `INSERT INTO records (ns, id, data) VALUES (?, ?, ?)
+     ON CONFLICT (ns, id) DO UPDATE SET data = excluded.data`
+  );
+  const qDel = db.prepare("DELETE FROM records WHERE ns = ? AND id = ?");
+
+  const tx = {
+    get(ns, id) {
+      const row = qGet.get(ns, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    list(ns) {
+      return qList.all(ns).map((r) => [r.id, JSON.parse(r.data)]);
+    },
+    put(ns, id, rec) {
+      qPut.run(ns, id, JSON.stringify(rec));
+    },
+    remove(ns, id) {
+      return qDel.run(ns, id).changes > 0;
+    },
+  };
+
+  let depth = 0;
+  function transact(fn) {
+    if (depth) return fn(tx);
+    depth++;
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      const result = fn(tx);
+      if (result && typeof result.then === "function")
+        throw new Error("store.transact(): callback must be synchronous");
+      db.exec("COMMIT");
+      return result;
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    } finally {
+      depth--;
+    }
+  }
+
+  return { kind: "sqlite", file, transact, flush: () => {} };
 }
 
-// Если keys.json пустой — автодобавим DEV-ключ TEST100
-if (!Object.keys(KEYS).length) {
-  KEYS["TEST100"] = {
-    max: 100,
-    used: 0,
-    note: "DEV TEST KEY (autogenerated)",
+async function openStore() {
+  const kind = String(process.env.KEYS_STORE || "json").toLowerCase();
+  const base = await (kind === "sqlite"
+    ? createSqliteStore(
+        process.env.KEYS_STORE_PATH || path.join(DATA_DIR, "store.sqlite")
+      )
+    : createJsonStore(
+        process.env.KEYS_STORE_PATH || path.join(DATA_DIR, "store.json")
+      ));
+
+  return withShortcuts(base);
+}
+
+function withShortcuts(base) {
+  return {
+    ...base,
+    get: (ns, id) => base.transact((tx) => tx.get(ns, id)),
+    list: (ns) => base.transact((tx) => tx.list(ns)),
+    put: (ns, id, rec) => base.transact((tx) => tx.put(ns, id, rec)),
+    remove: (ns, id) => base.transact((tx) => tx.remove(ns, id)),
   };
+}
+
+const store = await openStore();
+console.log(`[STORE] ${store.kind} store at ${store.file}`);
+
+// снапшот задач — реже: журнал и так переживёт падение
+const jobStore =
+  store.kind === "sqlite"
+    ? store
+    : withShortcuts(
+        createJsonStore(
+          process.env.JOBS_STORE_PATH ||
+            path.join(path.dirname(store.file), "jobs.json"),
+          { snapshotDelayMs: 5000 }
+        )
+      );
+
+// снапшот JSON-стора дописываем при остановке
+process.on("exit", () => {
+  for (const target of new Set([store, jobStore])) {
+    try {
+      target.flush();
+    } catch (e) {
+      console.error("[STORE] final flush failed:", e);
+    }
+  }
+});
+for (const sig of ["SIGINT", "SIGTERM"]) process.on(sig, () => process.exit(0));
+
+/* ====================== PAYWALL (keys) ====================== */
+
+// Старый формат: public/uploads/keys.json = { "KEY": { max | credits, used, note } }
+const LEGACY_KEYS_DB = path.join(UPLOAD_DIR, "keys.json");
+
+// Эффективный лимит = квота (max) + докупленные кредиты (bonus); 0 = без лимита
+const limitOf = (rec) => {
+  const max = typeof rec.max === "number" ? rec.max : 0;
+  return max > 0 ? max + (rec.bonus || 0) : 0;
+};
+
+// Разовая миграция старого keys.json в стор (credits → max)
+function migrateLegacyKeys() {
+  if (store.get("meta", "legacy_keys_migrated")) return;
+
+  let legacy = {};
   try {
-    fs.writeFileSync(KEYS_DB, JSON.stringify(KEYS, null, 2));
-    console.log("[KEYS] TEST100 injected + keys.json written");
+    legacy = JSON.parse(fs.readFileSync(LEGACY_KEYS_DB, "utf8"));
   } catch (e) {
-    console.error("[KEYS] failed to write initial keys.json:", e);
+    if (e.code !== "ENOENT")
+      console.warn(
+        "[KEYS] legacy keys.json unreadable, skipped:",
+        e.message || e
+      );
   }
+
+  const imported = store.transact((tx) => {
+    const names = [];
+    for (const [key, rec] of Object.entries(legacy || {})) {
+      if (!rec || typeof rec !== "object" || tx.get("keys", key)) continue;
+      const { credits, ...rest } = rec;
+      tx.put("keys", key, {
+        ...rest,
+        max:
+          typeof rec.max === "number"
+            ? rec.max
+            : typeof credits === "number"
+            ? credits
+            : 0, // 0 = без лимита
+        used: typeof rec.used === "number" ? rec.used : 0,
+      });
+      names.push(key);
+    }
+    tx.put("meta", "legacy_keys_migrated", {
+      at: new Date().toISOString(),
+      from: LEGACY_KEYS_DB,
+      keys: names.length,
+    });
+    return names;
+  });
+
+  // в лог — только префиксы: сами ключи не пишем никуда, кроме стора
+  if (imported.length)
+    console.log(
+      "[KEYS] migrated legacy keys.json:",
+      imported.map(displayPrefix)
+    );
 }
 
-// Нормализуем запись о ключе
-function getKeyRecord(rawKey) {
-  const key = String(rawKey || "").trim();
+migrateLegacyKeys();
+
+/* ---------- хэши ключей ---------- */
+// В сторе сам ключ не лежит: запись "keys/<id>" хранит salt + sha256(salt:key)
+// и короткий prefix для админки. Быстрый поиск — через индекс "key_lookup":
+// HMAC(pepper, key) → { id, generation: "current" | "previous", expires_at? }
+
+function loadPepper() {
+  if (process.env.KEY_HASH_PEPPER) return process.env.KEY_HASH_PEPPER;
+  return store.transact((tx) => {
+    let meta = tx.get("meta", "key_pepper");
+    if (!meta) {
+      meta = { value: crypto.randomBytes(32).toString("hex") };
+      tx.put("meta", "key_pepper", meta);
+      console.warn(
+        "[KEYS] KEY_HASH_PEPPER not set — generated one and stored it in the key store"
+      );
+    }
+    return meta.value;
+  });
+}
+
+const KEY_PEPPER = loadPepper();
+
+const keyLookup = (raw) =>
+  crypto.createHmac("sha256", KEY_PEPPER).update(raw).digest("hex").slice(0, 32);
+
+const hashKeySecret = (raw, salt) =>
+  crypto.createHash("sha256").update(`${salt}:${raw}`).digest("hex");
+
+const newKeyId = () => `k_${crypto.randomBytes(6).toString("hex")}`;
+
+// Что показываем в админке вместо ключа: "CREATOR-…", "TEST…"
+function displayPrefix(raw) {
+  const n = raw.length > 12 ? 8 : Math.max(2, Math.floor(raw.length / 2));
+  return `${raw.slice(0, n)}…`;
+}
+
+function keyCredentials(raw) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  return {
+    prefix: displayPrefix(raw),
+    salt,
+    hash: hashKeySecret(raw, salt),
+    lookup: keyLookup(raw),
+  };
+}
+
+function secretMatches(raw, salt, hash) {
+  const a = Buffer.from(hashKeySecret(raw, salt), "hex");
+  const b = Buffer.from(String(hash || ""), "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Сохранить новый ключ (внутри транзакции); false — такой ключ уже есть
+function insertKey(tx, raw, fields) {
+  const cred = keyCredentials(raw);
+  if (tx.get("key_lookup", cred.lookup)) return false;
+  const id = newKeyId();
+  tx.put("keys", id, {
+    ...fields,
+    ...cred,
+    created_at: fields.created_at || new Date().toISOString(),
+  });
+  tx.put("key_lookup", cred.lookup, { id, generation: "current" });
+  return id;
+}
+
+// Полный ключ → id записи (или null)
+function findKeyId(raw) {
+  const key = String(raw || "").trim();
   if (!key) return null;
+  const lookup = keyLookup(key);
+
+  return store.transact((tx) => {
+    const entry = tx.get("key_lookup", lookup);
+    if (!entry) return null;
+    const rec = tx.get("keys", entry.id);
+    if (!rec) return null;
+
+    if (entry.generation === "previous") {
+      const prev = rec.prev_secret;
+      const alive =
+        prev &&
+        prev.lookup === lookup &&
+        Date.parse(prev.expires_at) > Date.now();
+      if (!alive) {
+        tx.remove("key_lookup", lookup); // грейс-период кончился — подчищаем
+        return null;
+      }
+      return secretMatches(key, prev.salt, prev.hash) ? entry.id : null;
+    }
+
+    return secretMatches(key, rec.salt, rec.hash) ? entry.id : null;
+  });
+}
+
+// Для админских ручек: принимаем и id записи, и полный ключ
+function resolveKeyRef(ref) {
+  const v = String(ref || "").trim();
+  if (!v) return null;
+  if (store.get("keys", v)) return v;
+  return findKeyId(v);
+}
+
+// Разовая миграция: записи, лежащие под сырым ключом → id + хэш.
+// Заодно переписываем key в журналах usage / refunds, чтобы там не осталось сырых ключей.
+function hashPlainKeys() {
+  const failed = [];
+  const mapping = store.transact((tx) => {
+    const out = {};
+    for (const [raw, rec] of tx.list("keys")) {
+      if (rec.hash) continue;
+      const id = insertKey(tx, raw, rec);
+      // не вставился — сырую запись не трогаем, иначе ключ пропадёт совсем
+      if (!id) {
+        failed.push(displayPrefix(raw));
+        continue;
+      }
+      tx.remove("keys", raw);
+      out[raw] = id;
+    }
+    return out;
+  });
+
+  if (failed.length)
+    console.error(
+      `[KEYS] ${failed.length} plain keys NOT hashed (same key already stored hashed), left as is:`,
+      failed
+    );
+
+  const count = Object.keys(mapping).length;
+  if (!count) return;
+
+  for (const file of [USAGE_LOG, REFUNDS_LOG]) {
+    const rows = readJsonl(file);
+    if (!rows.length) continue;
+    const text = rows
+      .map((r) =>
+        JSON.stringify(mapping[r.key] ? { ...r, key: mapping[r.key] } : r)
+      )
+      .join("\n");
+    fs.writeFileSync(`${file}.tmp`, text + "\n");
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  console.log(`[KEYS] hashed ${count} plain keys`);
+  if (fs.existsSync(LEGACY_KEYS_DB))
+    console.warn(
+      `[KEYS] ${LEGACY_KEYS_DB} still holds plain keys — delete it once migration is verified`
+    );
+}
+
+// Разово проставляем plan ключам, у которых его нет (см. inferPlanId)
+function assignMissingPlans() {
+  const assigned = store.transact((tx) => {
+    const names = [];
+    for (const [key, rec] of tx.list("keys")) {
+      if (rec.plan) continue;
+      rec.plan = inferPlanId(key, rec);
+      tx.put("keys", key, rec);
+      // до hashPlainKeys запись ещё лежит под сырым ключом — в лог только префикс
+      names.push(`${rec.hash ? key : displayPrefix(key)} → ${rec.plan}`);
+    }
+    return names;
+  });
+  if (assigned.length) console.log("[KEYS] plans assigned:", assigned);
+}
+
+assignMissingPlans();
+hashPlainKeys();
+
+// Если ключей нет вообще — автодобавим DEV-ключ TEST100
+if (!store.list("keys").length) {
+  store.transact((tx) =>
+    insertKey(tx, "TEST100", {
+      max: 100,
+      used: 0,
+      plan: "pro",
+      note: "DEV TEST KEY (autogenerated)",
+    })
+  );
+  console.log("[KEYS] TEST100 injected");
+}
+
+console.log(
+  "[KEYS] Loaded keys:",
+  store
+    .list("keys")
+    .map(([id, rec]) =>
+      rec.hash ? `${id} (${rec.prefix})` : `${displayPrefix(id)} (not hashed)`
+    )
+);
 
-  const rec = KEYS[key];
+/* ---------- периоды подписки (daily / weekly / monthly) ---------- */
+
+const RESET_PERIODS = ["daily", "weekly", "monthly"];
+const PERIOD_HISTORY_MAX = 24;
+
+function addMonthsUTC(ms, n) {
+  const d = new Date(ms);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + n);
+  const lastDay = new Date(
+    Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay)); // 31 янв → 28/29 фев
+  return d.getTime();
+}
+
+// Границы периода, в который попадает `at` (null = ключ без сброса)
+function periodBounds(rec, at = Date.now()) {
+  if (!RESET_PERIODS.includes(rec.reset_period)) return null;
+  const anchor = Date.parse(rec.reset_anchor || "");
+  if (!Number.isFinite(anchor)) return null;
+
+  if (rec.reset_period === "monthly") {
+    const a = new Date(anchor);
+    const t = new Date(at);
+    let k =
+      (t.getUTCFullYear() - a.getUTCFullYear()) * 12 +
+      (t.getUTCMonth() - a.getUTCMonth());
+    if (addMonthsUTC(anchor, k) > at) k--;
+    return { start: addMonthsUTC(anchor, k), end: addMonthsUTC(anchor, k + 1) };
+  }
+
+  const len = (rec.reset_period === "weekly" ? 7 : 1) * 24 * 3600 * 1000;
+  const k = Math.floor((at - anchor) / len);
+  return { start: anchor + k * len, end: anchor + (k + 1) * len };
+}
+
+// Если период сменился — сохраняем прошлый used в history и обнуляем счётчик
+function rollPeriodInPlace(rec) {
+  const cur = periodBounds(rec);
+  if (!cur) return false;
+
+  const curStart = new Date(cur.start).toISOString();
+  if (rec.period_start === curStart) return false;
+
+  if (rec.period_start) {
+    const prev = periodBounds(rec, Date.parse(rec.period_start));
+    rec.history = [
+      ...(Array.isArray(rec.history) ? rec.history : []),
+      {
+        period_start: rec.period_start,
+        period_end: prev ? new Date(prev.end).toISOString() : curStart,
+        used: rec.used || 0,
+      },
+    ].slice(-PERIOD_HISTORY_MAX);
+    // квота сгорает, докупленное — нет: списываем с bonus только то, что ушло сверх max
+    if (rec.bonus > 0 && rec.max > 0) {
+      const spent = Math.max(0, (rec.used || 0) - rec.max);
+      rec.bonus = Math.max(0, rec.bonus - spent);
+    }
+    rec.used = 0;
+    rec.reset_pending = true; // вебхук key.reset отправит sweepKeyEvents
+  }
+  rec.period_start = curStart;
+  return true;
+}
+
+function rollKeyPeriod(id) {
+  return store.transact((tx) => {
+    const rec = tx.get("keys", id);
+    if (!rec || !rollPeriodInPlace(rec)) return false;
+    tx.put("keys", id, rec);
+    return true;
+  });
+}
+
+/* ---------- организации (общий пул кредитов) ---------- */
+
+// orgs: { name, max (пул, 0 = без лимита), bonus, used, refunded, plan, note, frozen }
+// Ключ сотрудника = обычный ключ с полем org; его max — личный потолок (0 = только пул)
+const newOrgId = () => `o_${crypto.randomBytes(6).toString("hex")}`;
+
+function orgPool(org) {
+  const limit = limitOf(org);
+  const used = org.used || 0;
+  return {
+    limit,
+    used,
+    remaining: limit > 0 ? Math.max(0, limit - used) : null, // null = безлимит
+  };
+}
+
+// Нормализуем запись о ключе (по полному ключу из запроса)
+function getKeyRecord(rawKey) {
+  const id = findKeyId(rawKey);
+  return id ? loadKeyRecord(id) : null;
+}
+
+// ...или по id записи (админка, журналы)
+function loadKeyRecord(id) {
+  rollKeyPeriod(id);
+  const rec = store.get("keys", id);
   if (!rec) return null;
 
-  const limit =
-    typeof rec.max === "number"
-      ? rec.max
-      : typeof rec.credits === "number"
-      ? rec.credits
-      : 0; // 0 = без лимита
+  const limit = limitOf(rec);
+  const org = rec.org ? store.get("orgs", rec.org) : null;
 
   const used = typeof rec.used === "number" ? rec.used : 0;
 
-  return { key, limit, used, raw: rec };
+  const now = Date.now();
+  const validFrom = rec.valid_from ? Date.parse(rec.valid_from) : NaN;
+  const expiresAt = rec.expires_at ? Date.parse(rec.expires_at) : NaN;
+  const status = rec.frozen
+    ? "frozen"
+    : Number.isFinite(expiresAt) && now >= expiresAt
+    ? "expired"
+    : Number.isFinite(validFrom) && now < validFrom
+    ? "not_yet_valid"
+    : "active";
+
+  const period = periodBounds(rec);
+
+  return {
+    id,
+    prefix: rec.prefix || null,
+    limit,
+    used,
+    status: org && org.frozen && status === "active" ? "frozen" : status,
+    org: org ? { id: rec.org, name: org.name, ...orgPool(org) } : null,
+    valid_from: rec.valid_from || null,
+    expires_at: rec.expires_at || null,
+    reset_period: period ? rec.reset_period : null,
+    period_start: period ? new Date(period.start).toISOString() : null,
+    period_end: period ? new Date(period.end).toISOString() : null,
+    plan: PLANS[rec.plan] ? rec.plan : "pro",
+    raw: rec,
+  };
+}
+
+// Почему ключ сейчас нельзя использовать (null = можно)
+function keyStatusError(rec) {
+  if (rec.status === "frozen")
+    return rec.raw.frozen ? "key frozen" : "organization frozen";
+  if (rec.status === "expired") return "key expired";
+  if (rec.status === "not_yet_valid") return "key not yet valid";
+  return null;
+}
+
+// "30d" / "12h" / "2w" / "6mo" / "1y" → миллисекунды (null = не распарсили)
+function parseDuration(raw) {
+  const m = String(raw || "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(h|d|w|mo|y)$/);
+  if (!m) return null;
+  const HOUR = 3600 * 1000;
+  const DAY = 24 * HOUR;
+  const unit = { h: HOUR, d: DAY, w: 7 * DAY, mo: 30 * DAY, y: 365 * DAY }[m[2]];
+  return Math.round(Number(m[1]) * unit);
 }
 
 // Вытаскиваем ключ из запроса (header / query / body)
@@ -239,16 +988,45 @@ app.get("/api/key-check", (req, res) => {
       });
     }
 
+    const statusError = keyStatusError(rec);
+    if (statusError) {
+      return res.status(402).json({
+        ok: false,
+        error: statusError,
+        valid_from: rec.valid_from,
+        expires_at: rec.expires_at,
+      });
+    }
+
+    // у ключа сотрудника остаток — меньшее из личного потолка и пула организации
+    const own = rec.limit > 0 ? Math.max(0, rec.limit - rec.used) : null;
+    const pool = rec.org ? rec.org.remaining : null;
     const remaining =
-      rec.limit > 0 ? Math.max(0, rec.limit - rec.used) : null;
+      own === null ? pool : pool === null ? own : Math.min(own, pool);
 
     return res.json({
       ok: true,
-      key: rec.key,
+      key: rec.prefix, // сам ключ не храним — только префикс
+      id: rec.id,
+      unit: "credits",
       limit: rec.limit, // 0 = безлимит
       used: rec.used,
       remaining, // null = безлимит
+      refunded: rec.raw.refunded || 0,
+      valid_from: rec.valid_from,
+      expires_at: rec.expires_at, // null = бессрочный
+      reset_period: rec.reset_period, // null = без автосброса
+      period_start: rec.period_start,
+      period_end: rec.period_end,
+      resets_at: rec.period_end,
+      history: Array.isArray(rec.raw.history) ? rec.raw.history : [],
+      bonus: rec.raw.bonus || 0, // докупленные кредиты, не сгорают при сбросе
+      topups: Array.isArray(rec.raw.topups) ? rec.raw.topups : [],
+      plan: rec.plan,
+      entitlements: PLANS[rec.plan],
+      org: rec.org,
       note: rec.raw.note || null,
+      prices: PRICE_TABLE,
     });
   } catch (e) {
     console.error("[KEYCHECK] error:", e);
@@ -259,121 +1037,1860 @@ app.get("/api/key-check", (req, res) => {
   }
 });
 
-// Middleware: списывает 1 использование перед платным вызовом
-function guardPaid(req, res, next) {
-  // Если PAYWALL выключен — пускаем всех
-  if (String(process.env.PAYWALL_ENABLED) !== "true") {
-    return next();
-  }
+// /api/plans — каталог тарифов (для фронта / страницы цен)
+app.get("/api/plans", (_req, res) => {
+  res.json({
+    ok: true,
+    plans: Object.entries(PLANS).map(([id, p]) => ({ id, ...p })),
+  });
+});
 
-  try {
-    const key = extractKey(req);
-    const rec = getKeyRecord(key);
+/* ====================== PLANS ====================== */
+// Каталог тарифов: квота по умолчанию + что именно тариф разрешает.
+// Ключ ссылается на тариф полем `plan`.
+
+const PAID_ROUTES = [
+  "/api/brand-post",
+  "/api/brand-post/batch",
+  "/api/image-studio",
+  "/api/video-studio",
+  "/api/video-reels",
+  "/api/trim25",
+  "/api/zoom2s",
+];
+
+const IMAGE_ACTIONS = [
+  "text2img",
+  "img2img",
+  "inpaint",
+  "remove_bg",
+  "upscale",
+  "add_object",
+];
+
+// cancel_refund — что возвращаем при отмене задачи (POST /api/jobs/:id/cancel):
+//   "full"           — всё удержанное;
+//   "if_not_started" — всё, пока модель на Replicate не начала считать, потом ничего;
+//   "none"           — ничего.
+const PLANS = {
+  free: {
+    name: "Free",
+    quota: 10,
+    routes: [
+      "/api/brand-post",
+      "/api/image-studio",
+      "/api/video-studio",
+      "/api/video-reels",
+    ],
+    image_actions: ["text2img", "img2img", "remove_bg", "add_object"],
+    max_video_seconds: 5,
+    max_batch_count: 1,
+    rate_per_min: 5,
+    max_concurrent: 1,
+    max_campaign_rows: 0,
+    cancel_refund: "if_not_started",
+  },
+  creator: {
+    name: "Creator",
+    quota: 200,
+    routes: PAID_ROUTES,
+    image_actions: [
+      "text2img",
+      "img2img",
+      "inpaint",
+      "remove_bg",
+      "add_object",
+    ],
+    max_video_seconds: 10,
+    max_batch_count: 4,
+    rate_per_min: 20,
+    max_concurrent: 2,
+    max_campaign_rows: 50,
+    cancel_refund: "if_not_started",
+  },
+  pro: {
+    name: "Pro",
+    quota: 1000,
+    routes: PAID_ROUTES,
+    image_actions: IMAGE_ACTIONS,
+    max_video_seconds: 10,
+    max_batch_count: 8,
+    rate_per_min: 60,
+    max_concurrent: 4,
+    max_campaign_rows: 100,
+    cancel_refund: "full",
+  },
+  unlimited: {
+    name: "Unlimited",
+    quota: 0, // 0 = без лимита
+    routes: PAID_ROUTES,
+    image_actions: IMAGE_ACTIONS,
+    max_video_seconds: 10,
+    max_batch_count: 8,
+    rate_per_min: 120,
+    max_concurrent: 8,
+    max_campaign_rows: 500,
+    cancel_refund: "full",
+  },
+};
 
-    if (!key || !rec) {
-      return res.status(402).json({
-        ok: false,
-        error: "invalid or missing key",
-      });
-    }
+// Для старых ключей без plan — угадываем по префиксу / лимиту (как делала админка)
+function inferPlanId(key, rec) {
+  const k = String(key || "").toUpperCase();
+  if (k.startsWith("FREE") || k.startsWith("DEMO")) return "free";
+  if (limitOf(rec) === 0) return "unlimited";
+  if (k.startsWith("CREATOR")) return "creator";
+  return "pro";
+}
 
-    // Проверяем лимит
-    if (rec.limit > 0 && rec.used >= rec.limit) {
-      return res.status(402).json({
-        ok: false,
-        error: "key limit exceeded",
-      });
-    }
+/* ---------- лимиты частоты и параллельности (по тарифу) ---------- */
+// В памяти процесса: key → { hits: [ts...], inFlight }
 
-    // Списываем 1 использование
-    rec.raw.used = (rec.raw.used || 0) + 1;
-    KEYS[rec.key] = rec.raw;
+const RATE_WINDOW_MS = 60 * 1000;
+const RATE = new Map();
 
-    try {
-      fs.writeFileSync(KEYS_DB, JSON.stringify(KEYS, null, 2));
-    } catch (e) {
-      console.error("[KEYS] saveKeys failed:", e);
-    }
+function rateState(key) {
+  let st = RATE.get(key);
+  if (!st) {
+    st = { hits: [], inFlight: 0 };
+    RATE.set(key, st);
+  }
+  const cutoff = Date.now() - RATE_WINDOW_MS;
+  while (st.hits.length && st.hits[0] <= cutoff) st.hits.shift();
+  return st;
+}
 
-    req.payKey = {
-      key: rec.key,
-      limit: rec.limit,
-      used: rec.raw.used,
-    };
+// Занимаем слот; null = можно, иначе { error, retryAfter (сек) }
+function acquireRateSlot(key, plan) {
+  const st = rateState(key);
 
-    next();
-  } catch (e) {
-    console.error("[PAYWALL] guardPaid error:", e);
-    return res.status(500).json({
-      ok: false,
-      error: String(e.message || e),
-    });
+  if (plan.rate_per_min > 0 && st.hits.length >= plan.rate_per_min) {
+    const wait = st.hits[0] + RATE_WINDOW_MS - Date.now();
+    return {
+      error: `rate limit: ${plan.rate_per_min} requests per minute`,
+      retryAfter: Math.max(1, Math.ceil(wait / 1000)),
+    };
   }
-}
 
-// ====================== ADMIN AUTH (secret) ======================
+  if (plan.max_concurrent > 0 && st.inFlight >= plan.max_concurrent) {
+    return {
+      error: `too many concurrent generations (max ${plan.max_concurrent})`,
+      retryAfter: 10,
+    };
+  }
 
-function ensureAdmin(req, res) {
-  // откуда берём секрет
-  const sec =
-    (req.query && req.query.secret) ||
-    req.header("X-Admin-Secret") ||
-    (req.body && req.body.secret) ||
-    "";
+  st.hits.push(Date.now());
+  st.inFlight++;
+  return null;
+}
 
-  // чем проверяем — можно использовать любую из этих переменных
-  const expected =
-    process.env.KEYS_ADMIN_SECRET ||
-    process.env.ADMIN_SECRET ||
-    process.env.ADMIN_SECRET_PASS ||
-    "";
+function releaseRateSlot(key) {
+  const st = RATE.get(key);
+  if (st && st.inFlight > 0) st.inFlight--;
+}
 
-  if (!expected || sec !== expected) {
-    res.status(403).json({ ok: false, error: "forbidden" });
-    return false;
-  }
-  return true;
+function rateSnapshot(key) {
+  const st = RATE.has(key) ? rateState(key) : null;
+  return {
+    in_flight: st ? st.inFlight : 0,
+    requests_last_min: st ? st.hits.length : 0,
+  };
 }
 
+// Почему тариф не пускает этот запрос (null = пускает)
+function planDenial(plan, price) {
+  if (!plan.routes.includes(price.route))
+    return `plan '${plan.name}' does not include ${price.route}`;
 
-/* ====================== ADMIN: KEYS PANEL ====================== */
+  if (price.action && !plan.image_actions.includes(price.action))
+    return `plan '${plan.name}' does not include image action '${price.action}'`;
 
-const ADMIN_SECRET = process.env.ADMIN_SECRET || "DEV-ADMIN-PASS";
+  if (price.seconds && price.seconds > plan.max_video_seconds)
+    return (
+      `plan '${plan.name}' does not include ${price.seconds}s video ` +
+      `(max ${plan.max_video_seconds}s)`
+    );
 
-// Простая проверка "я админ?"
-function guardAdmin(req, res, next) {
-  const secret =
-    (req.query.secret || req.header("X-Admin-Secret") || "").trim();
+  if (price.rows !== undefined) {
+    if (price.rows > plan.max_campaign_rows)
+      return (
+        `plan '${plan.name}' allows campaigns up to ${plan.max_campaign_rows} ` +
+        `rows (requested ${price.rows})`
+      );
+  } else if (price.units > plan.max_batch_count)
+    return (
+      `plan '${plan.name}' allows batch_count up to ${plan.max_batch_count} ` +
+      `(requested ${price.units})`
+    );
 
-  if (!ADMIN_SECRET || !secret || secret !== ADMIN_SECRET) {
-    return res.status(401).send("Unauthorized");
-  }
-  next();
+  return null;
+}
+
+/* ====================== CREDIT HOLD / COMMIT / REFUND ====================== */
+
+function recordRefund(entry) {
+  appendJsonl(REFUNDS_LOG, entry);
+}
+
+// Держим кредиты на ключе, пока не станет ясно, отдали ли мы ассет.
+// Проверка лимита и списание — одной транзакцией: параллельные запросы
+// не перепрыгнут лимит и не потеряют инкременты друг друга.
+function holdCredits(id, price, extra = {}) {
+  // NaN в used сохранится как null и сбросит счётчик — такое не удерживаем
+  if (!Number.isFinite(price.credits) || price.credits < 0)
+    throw new Error(`invalid credit price for ${price.route}: ${price.credits}`);
+
+  return store.transact((tx) => {
+    const raw = tx.get("keys", id);
+    if (!raw) return { error: "invalid or missing key" };
+
+    rollPeriodInPlace(raw);
+    const limit = limitOf(raw);
+    const used = raw.used || 0;
+    if (limit > 0 && used + price.credits > limit) {
+      return {
+        error: "key limit exceeded",
+        remaining: Math.max(0, limit - used),
+      };
+    }
+
+    // ключ сотрудника: тот же вызов списываем и с пула организации
+    const org = raw.org ? tx.get("orgs", raw.org) : null;
+    if (raw.org && !org) return { error: "organization not found" };
+    if (org) {
+      const pool = orgPool(org);
+      if (pool.limit > 0 && pool.used + price.credits > pool.limit) {
+        return {
+          error: "organization credits exhausted",
+          remaining: pool.remaining,
+        };
+      }
+      org.used = pool.used + price.credits;
+      tx.put("orgs", raw.org, org);
+    }
+
+    raw.used = used + price.credits;
+    tx.put("keys", id, raw);
+
+    const hold = {
+      id: `hold_${crypto.randomBytes(8).toString("hex")}`,
+      key: id,
+      key_prefix: raw.prefix || null,
+      org: raw.org || null,
+      route: price.route,
+      mode: price.mode,
+      units: price.units,
+      credits: price.credits,
+      period_start: raw.period_start || null,
+      status: "held",
+      created_at: new Date().toISOString(),
+      started_ms: Date.now(),
+      ...extra,
+    };
+    // удержание — в стор той же транзакцией: если процесс упадёт посреди
+    // генерации, при старте его закроет resumeJobs()
+    tx.put("holds", hold.id, hold);
+
+    return { hold, limit, used: raw.used };
+  });
+}
+
+// Возвращаем часть (или все) удержанные кредиты
+function releaseCredits(hold, credits, reason) {
+  const amount = Math.min(hold.credits, Math.max(0, credits));
+  if (!amount) return 0;
+
+  store.transact((tx) => {
+    const raw = tx.get("keys", hold.key);
+    if (!raw) return;
+    // период успел смениться — старый used уже ушёл в history, новый не трогаем
+    if ((raw.period_start || null) === hold.period_start)
+      raw.used = Math.max(0, (raw.used || 0) - amount);
+    raw.refunded = (raw.refunded || 0) + amount;
+    tx.put("keys", hold.key, raw);
+
+    const org = hold.org ? tx.get("orgs", hold.org) : null;
+    if (org) {
+      org.used = Math.max(0, (org.used || 0) - amount);
+      org.refunded = (org.refunded || 0) + amount;
+      tx.put("orgs", hold.org, org);
+    }
+  });
+
+  recordRefund({
+    ts: new Date().toISOString(),
+    key: hold.key,
+    key_prefix: hold.key_prefix,
+    org: hold.org || null,
+    route: hold.route,
+    mode: hold.mode,
+    held: hold.credits,
+    refunded: amount,
+    reason,
+  });
+
+  return amount;
+}
+
+// Закрываем удержание: оставляем заработанное, остальное возвращаем.
+// opts.kept — сколько оставить, если это решает не ответ, а политика (отмена)
+function settleHold(hold, status, payload, opts = {}) {
+  if (!hold || hold.status !== "held") return;
+  if (hold.slot) {
+    hold.slot = false;
+    releaseRateSlot(hold.key);
+  }
+
+  const kept =
+    opts.kept ?? (status >= 400 ? 0 : earnedCredits(hold, payload));
+  const refund = hold.credits - kept;
+  const reason =
+    opts.reason ||
+    (status >= 400
+      ? `http ${status}: ${(payload && payload.error) || "error"}`
+      : kept === 0
+      ? (payload && payload.error) || "empty output"
+      : "partial delivery");
+
+  store.transact((tx) => {
+    if (refund > 0) releaseCredits(hold, refund, reason);
+    if (hold.id) tx.remove("holds", hold.id);
+  });
+  hold.status = kept > 0 ? "committed" : "refunded";
+  hold.kept = kept;
+
+  recordUsage({
+    ...generationEvent(hold, status, payload),
+    outcome:
+      opts.outcome ||
+      (kept === 0 ? "failed" : refund > 0 ? "partial" : "success"),
+    credits: kept,
+    held: hold.credits,
+    error: kept === 0 ? reason : null,
+  });
+
+  if (kept > 0) checkUsageThresholds(hold.key);
+}
+
+// Без paywall кредитов нет, но событие генерации для аналитики пишем всё равно
+function trackFreeGeneration(req, res, next) {
+  // Idempotency-Key работает и без paywall: чей запрос — по ключу, если он
+  // есть, иначе по IP
+  const rec = getKeyRecord(extractKey(req));
+  const idem = idempotencyOf(req, rec ? rec.id : `ip:${req.ip}`);
+  if (idem && replayIdempotent(req, res, idem)) return;
+
+  const price = priceRequest(req, readBody(req.body));
+  const track = {
+    key: null,
+    route: price.route,
+    mode: price.mode,
+    started_ms: Date.now(),
+    prompt: promptOf(req),
+    predictions: new Map(),
+    done: false,
+  };
+  const finish = (status, payload) => {
+    if (track.done) return;
+    track.done = true;
+    const delivered =
+      status < 400 && deliveredAssets(payload, track.mode) > 0;
+    recordUsage({
+      ...generationEvent(track, status, payload),
+      outcome: delivered ? "success" : "failed",
+      credits: 0,
+      held: 0,
+      error: delivered ? null : (payload && payload.error) || "empty output",
+    });
+  };
+
+  const generation = { detached: false, finish };
+  req.generation = generation;
+
+  const sendJson = res.json.bind(res);
+  res.json = (payload) => {
+    if (!generation.detached) finish(res.statusCode, payload);
+    return sendJson(payload);
+  };
+  res.on("close", () => {
+    if (!generation.detached) finish(499, { error: "no response" });
+  });
+  if (idem) {
+    startIdempotent(idem);
+    req.idempotency = idem;
+  }
+
+  genContext.run({ predictions: track.predictions }, next);
+}
+
+/* ---------- журнал использования (usage.jsonl) ---------- */
+
+function recordUsage(entry) {
+  appendJsonl(USAGE_LOG, entry);
+}
+
+// Контекст платного вызова: сюда хелперы Replicate складывают свои предсказания
+const genContext = new AsyncLocalStorage();
+
+function notePrediction(p) {
+  const ctx = genContext.getStore();
+  if (!ctx || !p || !p.id) return;
+  ctx.predictions.set(p.id, {
+    id: p.id,
+    model: p.model || p.version || null,
+    status: p.status,
+    predict_time: p.metrics?.predict_time ?? null,
+  });
+  // дождались — после рестарта это предсказание ждать уже не нужно
+  if (ctx.job?.pending)
+    ctx.job.pending = ctx.job.pending.filter((x) => x.id !== p.id);
+}
+
+// Цена секунды работы модели на Replicate (зависит от железа).
+// REPLICATE_COST_PER_SEC — по умолчанию, REPLICATE_MODEL_COSTS — JSON { "owner/model": $/сек }
+const REPLICATE_COST_PER_SEC = Number(
+  process.env.REPLICATE_COST_PER_SEC || 0.0014
+);
+const REPLICATE_MODEL_COSTS = (() => {
+  try {
+    return JSON.parse(process.env.REPLICATE_MODEL_COSTS || "{}");
+  } catch {
+    console.warn("[USAGE] REPLICATE_MODEL_COSTS is not valid JSON — ignored");
+    return {};
+  }
+})();
+
+function predictionCost(p) {
+  if (typeof p.predict_time !== "number") return 0;
+  const rate = REPLICATE_MODEL_COSTS[p.model] ?? REPLICATE_COST_PER_SEC;
+  return p.predict_time * rate;
+}
+
+// Общие поля записи usage.jsonl (платной и бесплатной)
+function generationEvent(track, status, payload) {
+  const predictions = [...(track.predictions?.values() || [])];
+  const seconds = predictions.reduce((s, p) => s + (p.predict_time || 0), 0);
+  const cost = predictions.reduce((s, p) => s + predictionCost(p), 0);
+  return {
+    ts: new Date().toISOString(),
+    key: track.key,
+    key_prefix: track.key_prefix || null,
+    org: track.org || null,
+    route: track.route,
+    mode: (payload && payload.mode) || track.mode,
+    model: modelOf(payload),
+    status,
+    latency_ms: Date.now() - track.started_ms,
+    prompt: track.prompt || null,
+    predictions,
+    predict_seconds: Math.round(seconds * 1000) / 1000,
+    provider_cost: Math.round(cost * 1e6) / 1e6,
+  };
+}
+
+// Какая модель реально отработала (у разных роутов поле называется по-разному)
+function modelOf(payload) {
+  if (!payload || typeof payload !== "object") return null;
+  if (payload.model_used || payload.model)
+    return payload.model_used || payload.model;
+  if (Array.isArray(payload.batch)) {
+    const ok = payload.batch.find((x) => x && x.ok && x.model);
+    if (ok) return ok.model;
+  }
+  return null;
+}
+
+// Короткий кусок промпта для журнала
+function promptOf(req) {
+  const body = readBody(req.body);
+  const p = (body.idea || body.prompt || "").toString().trim();
+  return p ? p.slice(0, 200) : null;
+}
+
+// Ключ и срок его действия (valid_from / expires_at): null — годен, иначе тело 402
+function keyDenialOf(key, rec) {
+  if (!key || !rec) return { ok: false, error: "invalid or missing key" };
+  const statusError = keyStatusError(rec);
+  if (!statusError) return null;
+  return {
+    ok: false,
+    error: statusError,
+    valid_from: rec.valid_from,
+    expires_at: rec.expires_at,
+  };
+}
+
+// Роуты с загрузкой: ключ и тариф проверяем ДО приёма тела (multer, CSV),
+// чтобы без ключа ничего не разбирать. Цена и удержание — guardPaid после разбора.
+function guardKey(req, res, next) {
+  if (String(process.env.PAYWALL_ENABLED) !== "true") return next();
+
+  try {
+    const key = extractKey(req);
+    const rec = getKeyRecord(key);
+    const denied = keyDenialOf(key, rec);
+    if (denied) return res.status(402).json(denied);
+
+    const plan = PLANS[rec.plan];
+    if (!plan.routes.includes(req.path)) {
+      return res.status(403).json({
+        ok: false,
+        error: `plan '${plan.name}' does not include ${req.path}`,
+        plan: rec.plan,
+      });
+    }
+    next();
+  } catch (e) {
+    console.error("[PAYWALL] guardKey error:", e);
+    return res.status(500).json({
+      ok: false,
+      error: String(e.message || e),
+    });
+  }
+}
+
+// Middleware: удерживает кредиты (по PRICE_TABLE) перед платным вызовом
+function guardPaid(req, res, next) {
+  // Если PAYWALL выключен — пускаем всех
+  if (String(process.env.PAYWALL_ENABLED) !== "true") {
+    return trackFreeGeneration(req, res, next);
+  }
+
+  try {
+    const key = extractKey(req);
+    const rec = getKeyRecord(key);
+    const denied = keyDenialOf(key, rec);
+    if (denied) return res.status(402).json(denied);
+
+    // Повтор с тем же Idempotency-Key: без списания и без новой генерации
+    const idem = idempotencyOf(req, rec.id);
+    if (idem && replayIdempotent(req, res, idem)) return;
+
+    // Цену считаем ДО списания — по разобранному запросу
+    const price = priceRequest(req, readBody(req.body));
+    if (price.error)
+      return res.status(400).json({ ok: false, error: price.error });
+
+    // Что разрешает тариф ключа
+    const denial = planDenial(PLANS[rec.plan], price);
+    if (denial) {
+      return res.status(403).json({
+        ok: false,
+        error: denial,
+        plan: rec.plan,
+      });
+    }
+
+    // Частота / параллельность по тарифу
+    const limited = acquireRateSlot(rec.id, PLANS[rec.plan]);
+    if (limited) {
+      res.setHeader("Retry-After", String(limited.retryAfter));
+      return res.status(429).json({
+        ok: false,
+        error: limited.error,
+        retry_after: limited.retryAfter,
+      });
+    }
+
+    // Проверяем лимит и удерживаем кредиты; окончательно спишем, когда увидим ответ
+    let held;
+    try {
+      held = holdCredits(rec.id, price, { prompt: promptOf(req) });
+    } catch (e) {
+      releaseRateSlot(rec.id);
+      throw e;
+    }
+    if (held.error) {
+      releaseRateSlot(rec.id);
+      return res.status(402).json({
+        ok: false,
+        error: held.error,
+        credits_required: price.credits,
+        credits_remaining: held.remaining,
+      });
+    }
+    const { hold } = held;
+    hold.slot = true; // слот освободится в settleHold
+    hold.predictions = new Map();
+    if (idem) {
+      startIdempotent(idem);
+      req.idempotency = idem;
+    }
+
+    // detached — async-режим: результат отдаёт задача (jobify), а не этот res
+    const generation = {
+      detached: false,
+      finish: (status, payload) => settleHold(hold, status, payload),
+    };
+    req.generation = generation;
+
+    const sendJson = res.json.bind(res);
+    res.json = (payload) => {
+      if (!generation.detached) generation.finish(res.statusCode, payload);
+      return sendJson(payload);
+    };
+    // клиент отвалился / ответа так и не было — возвращаем
+    res.on("close", () => {
+      if (!generation.detached)
+        generation.finish(499, { error: "no response" });
+    });
+
+    req.payKey = {
+      id: rec.id,
+      limit: held.limit,
+      used: held.used,
+      mode: price.mode,
+      credits: price.credits,
+      hold,
+    };
+
+    genContext.run({ predictions: hold.predictions }, next);
+  } catch (e) {
+    console.error("[PAYWALL] guardPaid error:", e);
+    return res.status(500).json({
+      ok: false,
+      error: String(e.message || e),
+    });
+  }
+}
+
+/* ====================== WEBHOOKS (outbound) ====================== */
+
+// События по ключам: usage.threshold (80% / 100%), key.expired, key.reset.
+// Уходят на URL ключа (webhook_url) и на глобальный URL (meta/webhooks).
+// Доставка через outbox в сторе: переживает рестарт, ретраи с backoff.
+// Подпись: X-HIAI-Signature: sha256=HMAC(secret, `${X-HIAI-Timestamp}.${body}`)
+
+const DEFAULT_THRESHOLDS = [80, 100];
+const WEBHOOK_BACKOFF_MS = [10e3, 60e3, 5 * 60e3, 30 * 60e3, 2 * 3600e3];
+const WEBHOOK_TIMEOUT_MS = 10e3;
+
+const newWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+function globalWebhook() {
+  return store.get("meta", "webhooks") || {};
+}
+
+// "80, 100" / [80, 100] → [80, 100] (null = не распарсили)
+function parseThresholds(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? "").split(",");
+  const out = list
+    .map((v) => Number(String(v).trim()))
+    .filter((n) => Number.isFinite(n) && n > 0 && n <= 100);
+  if (out.length !== list.length || !out.length) return null;
+  return [...new Set(out)].sort((a, b) => a - b);
+}
+
+function thresholdsFor(rec) {
+  return (
+    rec.webhook_thresholds || globalWebhook().thresholds || DEFAULT_THRESHOLDS
+  );
+}
+
+// Кладём событие в outbox — по одной записи на каждый адрес
+function emitWebhook(event, keyId, data) {
+  const rec = keyId ? store.get("keys", keyId) : null;
+  const global = globalWebhook();
+  const targets = [];
+  if (rec && rec.webhook_url)
+    targets.push({ url: rec.webhook_url, secret: rec.webhook_secret });
+  if (global.url) targets.push({ url: global.url, secret: global.secret });
+  if (!targets.length) return;
+
+  const body = JSON.stringify({
+    id: `evt_${crypto.randomBytes(8).toString("hex")}`,
+    event,
+    created_at: new Date().toISOString(),
+    data: {
+      key: keyId,
+      key_prefix: rec ? rec.prefix || null : null,
+      org: rec ? rec.org || null : null,
+      ...data,
+    },
+  });
+
+  store.transact((tx) => {
+    for (const t of targets) {
+      const id = `wh_${crypto.randomBytes(8).toString("hex")}`;
+      tx.put("webhook_outbox", id, {
+        event,
+        key: keyId,
+        url: t.url,
+        secret: t.secret,
+        body,
+        attempt: 0,
+        next_at: Date.now(),
+      });
+    }
+  });
+  setImmediate(pumpWebhooks);
+}
+
+async function deliverWebhook(id, item) {
+  const ts = String(Math.floor(Date.now() / 1000));
+  const signature = crypto
+    .createHmac("sha256", item.secret || "")
+    .update(`${ts}.${item.body}`)
+    .digest("hex");
+
+  const res = await fetch(item.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "hiai-webhooks/1",
+      "X-HIAI-Event": item.event,
+      "X-HIAI-Delivery": id,
+      "X-HIAI-Timestamp": ts,
+      "X-HIAI-Signature": `sha256=${signature}`,
+    },
+    body: item.body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.status;
+}
+
+let webhooksPumping = false;
+
+const dueWebhooks = () =>
+  store
+    .list("webhook_outbox")
+    .filter(([, item]) => item.next_at <= Date.now());
+
+async function pumpWebhooks() {
+  if (webhooksPumping) return;
+  webhooksPumping = true;
+  try {
+    // пока доставляли, могли прийти новые события — крутимся, пока есть что слать
+    for (let due = dueWebhooks(); due.length; due = dueWebhooks()) {
+      await deliverDue(due);
+    }
+  } catch (e) {
+    console.error("[WEBHOOK] pump error:", e);
+  } finally {
+    webhooksPumping = false;
+  }
+}
+
+async function deliverDue(due) {
+  for (const [id, item] of due) {
+    const attempt = item.attempt + 1;
+    let status = null;
+    let error = null;
+    try {
+      status = await deliverWebhook(id, item);
+    } catch (e) {
+      error = String(e.message || e);
+    }
+
+    const gaveUp = error && attempt > WEBHOOK_BACKOFF_MS.length;
+    const nextAt =
+      error && !gaveUp ? Date.now() + WEBHOOK_BACKOFF_MS[attempt - 1] : null;
+
+    store.transact((tx) => {
+      if (!nextAt) return tx.remove("webhook_outbox", id);
+      tx.put("webhook_outbox", id, { ...item, attempt, next_at: nextAt });
+    });
+
+    appendJsonl(WEBHOOKS_LOG, {
+      ts: new Date().toISOString(),
+      delivery: id,
+      event: item.event,
+      key: item.key,
+      url: item.url,
+      attempt,
+      ok: !error,
+      status,
+      error,
+      next_retry_at: nextAt ? new Date(nextAt).toISOString() : null,
+      gave_up: !!gaveUp,
+    });
+    if (error)
+      console.warn(
+        `[WEBHOOK] ${item.event} → ${item.url} failed (#${attempt}):`,
+        error
+      );
+  }
+}
+
+// Пересекли ли порог после списания. Пороги, ниже которых снова опустились
+// (возврат, пополнение, сброс), взводятся заново.
+function checkUsageThresholds(id) {
+  const crossed = store.transact((tx) => {
+    const rec = tx.get("keys", id);
+    if (!rec) return [];
+    const limit = limitOf(rec);
+    const used = rec.used || 0;
+    const pct = limit > 0 ? (used / limit) * 100 : 0;
+
+    const hit = thresholdsFor(rec).filter((t) => pct >= t);
+    const before = Array.isArray(rec.thresholds_hit) ? rec.thresholds_hit : [];
+    if (hit.join() === before.join()) return [];
+
+    rec.thresholds_hit = hit;
+    tx.put("keys", id, rec);
+    return hit
+      .filter((t) => !before.includes(t))
+      .map((threshold) => ({
+        threshold,
+        used,
+        limit,
+        remaining: Math.max(0, limit - used),
+        period_start: rec.period_start || null,
+      }));
+  });
+  for (const data of crossed) emitWebhook("usage.threshold", id, data);
+}
+
+// Раз в минуту: сброс периодов вовремя (а не при следующем запросе) + истёкшие ключи
+function sweepKeyEvents() {
+  try {
+    for (const [id] of store.list("keys")) {
+      rollKeyPeriod(id);
+
+      const events = store.transact((tx) => {
+        const rec = tx.get("keys", id);
+        if (!rec) return [];
+        const out = [];
+        let changed = false;
+
+        const exp = rec.expires_at ? Date.parse(rec.expires_at) : NaN;
+        if (exp <= Date.now() && !rec.expired_notified) {
+          rec.expired_notified = true;
+          changed = true;
+          out.push(["key.expired", { expires_at: rec.expires_at }]);
+        }
+
+        if (rec.reset_pending) {
+          delete rec.reset_pending;
+          changed = true;
+          out.push([
+            "key.reset",
+            {
+              reason: "period",
+              period_start: rec.period_start,
+              previous: (rec.history || []).slice(-1)[0] || null,
+            },
+          ]);
+        }
+
+        if (changed) tx.put("keys", id, rec);
+        return out;
+      });
+      for (const [event, data] of events) emitWebhook(event, id, data);
+    }
+  } catch (e) {
+    console.error("[WEBHOOK] sweep error:", e);
+  }
+}
+
+setInterval(pumpWebhooks, 5000).unref();
+setInterval(sweepKeyEvents, 60e3).unref();
+sweepKeyEvents();
+
+/* ====================== BILLING (top-ups) ====================== */
+
+// Пакеты пополнения. Переопределить: TOPUP_PACKAGES='{"small":{"credits":150}}'
+const TOPUP_PACKAGES = {
+  small: { name: "100 credits", credits: 100, amount: 500, currency: "usd" },
+  medium: { name: "500 credits", credits: 500, amount: 2000, currency: "usd" },
+  large: { name: "2000 credits", credits: 2000, amount: 6000, currency: "usd" },
+};
+
+try {
+  const override = JSON.parse(process.env.TOPUP_PACKAGES || "{}");
+  for (const [id, pkg] of Object.entries(override)) {
+    TOPUP_PACKAGES[id] = { ...(TOPUP_PACKAGES[id] || {}), ...pkg };
+  }
+} catch (e) {
+  console.warn("[BILLING] bad TOPUP_PACKAGES JSON, ignored:", e.message || e);
+}
+
+const TOPUPS_KEPT = 50;
+
+// Пополнение ключа (bonus переживает сброс периода) + запись рядом с ключом
+function creditTopup(rec, entry) {
+  rec.bonus = (rec.bonus || 0) + entry.credits;
+  rec.topups = [
+    ...(Array.isArray(rec.topups) ? rec.topups : []),
+    { ts: new Date().toISOString(), ...entry },
+  ].slice(-TOPUPS_KEPT);
+}
+
+/* ---------- платёжные провайдеры ---------- */
+
+// Адаптер: createCheckout(checkout) → { session_id, url };
+// parseWebhook(rawBody, headers) → { event_id, paid?, session_id, amount, currency }
+// (бросает ошибку, если подпись не сошлась)
+
+const STRIPE_TOLERANCE_SEC = 300;
+
+const stripeProvider = {
+  name: "stripe",
+
+  async createCheckout(co) {
+    const form = new URLSearchParams({
+      mode: "payment",
+      success_url: co.success_url,
+      cancel_url: co.cancel_url,
+      client_reference_id: co.id,
+      "metadata[checkout_id]": co.id,
+      "line_items[0][quantity]": "1",
+      "line_items[0][price_data][currency]": co.currency,
+      "line_items[0][price_data][unit_amount]": String(co.amount),
+      "line_items[0][price_data][product_data][name]": co.name,
+    });
+    const session = await fetchJson(
+      "https://api.stripe.com/v1/checkout/sessions",
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: form,
+      }
+    );
+    return { session_id: session.id, url: session.url };
+  },
+
+  // Stripe-Signature: t=...,v1=...  (HMAC-SHA256 от `${t}.${rawBody}`)
+  parseWebhook(raw, headers) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) throw new Error("STRIPE_WEBHOOK_SECRET not set");
+    verifyTimestampedSignature(
+      raw,
+      headers["stripe-signature"],
+      secret,
+      STRIPE_TOLERANCE_SEC
+    );
+
+    const event = JSON.parse(raw.toString("utf8"));
+    const obj = (event.data && event.data.object) || {};
+    const paid =
+      (event.type === "checkout.session.completed" ||
+        event.type === "checkout.session.async_payment_succeeded") &&
+      obj.payment_status === "paid";
+    return {
+      event_id: event.id,
+      type: event.type,
+      paid,
+      session_id: obj.id,
+      checkout_id:
+        (obj.metadata && obj.metadata.checkout_id) || obj.client_reference_id,
+      amount: obj.amount_total,
+      currency: obj.currency,
+    };
+  },
+};
+
+// Локальная "платёжка" для разработки: страница с кнопкой Pay шлёт
+// подписанный вебхук в тот же /api/billing/webhook/fake
+const FAKE_PAYMENTS_SECRET =
+  process.env.FAKE_PAYMENTS_SECRET || crypto.randomBytes(16).toString("hex");
+
+const fakeProvider = {
+  name: "fake",
+
+  async createCheckout(co) {
+    const sessionId = `fake_cs_${crypto.randomBytes(8).toString("hex")}`;
+    return {
+      session_id: sessionId,
+      url: `${co.origin}/api/billing/fake/checkout/${sessionId}`,
+    };
+  },
+
+  parseWebhook(raw, headers) {
+    verifyTimestampedSignature(
+      raw,
+      headers["x-fake-signature"],
+      FAKE_PAYMENTS_SECRET,
+      STRIPE_TOLERANCE_SEC
+    );
+    const event = JSON.parse(raw.toString("utf8"));
+    return {
+      event_id: event.id,
+      type: event.type,
+      paid: event.type === "payment.succeeded",
+      session_id: event.session_id,
+      checkout_id: event.checkout_id,
+      amount: event.amount,
+      currency: event.currency,
+    };
+  },
+};
+
+// fake "оплачивает" кредиты бесплатно — только явно (PAYMENT_PROVIDER=fake)
+// и не в production. Без провайдера пополнения отключены (503).
+const PAYMENT_PROVIDERS = { stripe: stripeProvider, fake: fakeProvider };
+const PAYMENT_PROVIDER = (() => {
+  const name =
+    process.env.PAYMENT_PROVIDER ||
+    (process.env.STRIPE_SECRET_KEY ? "stripe" : "");
+  if (!name) {
+    console.warn("[BILLING] no payment provider configured, top-ups disabled");
+    return null;
+  }
+  if (name === "fake" && process.env.NODE_ENV === "production") {
+    console.warn("[BILLING] fake payments refused in production, top-ups disabled");
+    return null;
+  }
+  if (!PAYMENT_PROVIDERS[name])
+    console.warn(`[BILLING] unknown PAYMENT_PROVIDER "${name}"`);
+  return name;
+})();
+
+// "t=...,v1=..." — подпись по времени + телу, с защитой от старых повторов
+function verifyTimestampedSignature(raw, header, secret, toleranceSec) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((p) => p.trim().split("="))
+      .filter((kv) => kv.length === 2)
+  );
+  const t = Number(parts.t);
+  if (!t || !parts.v1) throw new Error("missing signature");
+  if (Math.abs(Date.now() / 1000 - t) > toleranceSec)
+    throw new Error("signature timestamp too old");
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${parts.t}.${raw.toString("utf8")}`)
+    .digest("hex");
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(parts.v1));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b))
+    throw new Error("bad signature");
+}
+
+function signTimestamped(body, secret) {
+  const t = Math.floor(Date.now() / 1000);
+  const v1 = crypto
+    .createHmac("sha256", secret)
+    .update(`${t}.${body}`)
+    .digest("hex");
+  return `t=${t},v1=${v1}`;
+}
+
+/* ---------- checkout + вебхук ---------- */
+
+// GET /api/billing/packages — что можно купить
+app.get("/api/billing/packages", (_req, res) => {
+  res.json({
+    ok: true,
+    provider: PAYMENT_PROVIDER,
+    packages: Object.entries(TOPUP_PACKAGES).map(([id, p]) => ({ id, ...p })),
+  });
+});
+
+// POST /api/billing/checkout — { key, package, success_url?, cancel_url? }
+app.post("/api/billing/checkout", async (req, res) => {
+  try {
+    const body = readBody(req.body);
+    const rec = getKeyRecord(extractKey(req));
+    if (!rec) {
+      return res.status(402).json({
+        ok: false,
+        error: "invalid or missing key",
+      });
+    }
+
+    // замороженный / истёкший ключ не пополняем — те же правила, что в guardPaid
+    const statusError = keyStatusError(rec);
+    if (statusError) {
+      return res.status(402).json({
+        ok: false,
+        error: statusError,
+        valid_from: rec.valid_from,
+        expires_at: rec.expires_at,
+      });
+    }
+
+    if (!(rec.raw.max > 0)) {
+      return res.status(400).json({
+        ok: false,
+        error: rec.raw.org
+          ? "member keys draw from the organization pool"
+          : "unlimited key needs no top-up",
+      });
+    }
+
+    const packageId = String(body.package || "").trim();
+    const pkg = TOPUP_PACKAGES[packageId];
+    if (!pkg) {
+      const names = Object.keys(TOPUP_PACKAGES).join(", ");
+      return res.status(400).json({
+        ok: false,
+        error: `Unknown package (use ${names})`,
+      });
+    }
+
+    const provider = PAYMENT_PROVIDERS[PAYMENT_PROVIDER];
+    if (!provider) {
+      return res.status(503).json({ ok: false, error: "payments disabled" });
+    }
+
+    const origin = absoluteOrigin(req);
+    const id = `co_${crypto.randomBytes(8).toString("hex")}`;
+    const co = {
+      id,
+      key: rec.id,
+      key_prefix: rec.prefix,
+      package: packageId,
+      name: pkg.name,
+      credits: pkg.credits,
+      amount: pkg.amount,
+      currency: pkg.currency,
+      provider: provider.name,
+      status: "pending",
+      created_at: new Date().toISOString(),
+      origin,
+      success_url: okUrl(body.success_url)
+        ? body.success_url
+        : `${origin}/?topup=success&checkout=${id}`,
+      cancel_url: okUrl(body.cancel_url)
+        ? body.cancel_url
+        : `${origin}/?topup=cancel&checkout=${id}`,
+    };
+
+    const session = await provider.createCheckout(co);
+    co.session_id = session.session_id;
+    store.transact((tx) => tx.put("checkouts", id, co));
+
+    return res.json({
+      ok: true,
+      checkout_id: id,
+      url: session.url,
+      package: packageId,
+      credits: pkg.credits,
+      amount: pkg.amount,
+      currency: pkg.currency,
+    });
+  } catch (e) {
+    console.error("[BILLING] checkout error:", e);
+    return res.status(502).json({
+      ok: false,
+      error: String(e.message || e),
+    });
+  }
+});
+
+// GET /api/billing/checkout/:id?key=... — статус (для страницы "спасибо")
+app.get("/api/billing/checkout/:id", (req, res) => {
+  const rec = getKeyRecord(extractKey(req));
+  const co = store.get("checkouts", req.params.id);
+  if (!rec || !co || co.key !== rec.id)
+    return res.status(404).json({ ok: false, error: "Checkout not found" });
+  res.json({
+    ok: true,
+    checkout_id: co.id,
+    status: co.status,
+    package: co.package,
+    credits: co.credits,
+    paid_at: co.paid_at || null,
+  });
+});
+
+// Начисляем кредиты по оплаченному событию. Всё в одной транзакции:
+// event_id запоминаем вместе с начислением — повтор события ничего не меняет.
+function fulfillPayment(providerName, evt) {
+  return store.transact((tx) => {
+    const eventKey = `${providerName}:${evt.event_id}`;
+    if (tx.get("payment_events", eventKey)) return { duplicate: true };
+
+    const mark = (result) => {
+      tx.put("payment_events", eventKey, {
+        type: evt.type,
+        checkout_id: evt.checkout_id || null,
+        result,
+        ts: new Date().toISOString(),
+      });
+      return { result };
+    };
+
+    if (!evt.paid) return mark("ignored");
+
+    const co = evt.checkout_id ? tx.get("checkouts", evt.checkout_id) : null;
+    const matches =
+      co && co.provider === providerName && co.session_id === evt.session_id;
+    if (!matches) return mark("unknown_checkout");
+    // другой event_id на тот же checkout (например, async_payment_succeeded)
+    if (co.status === "paid") return mark("already_paid");
+
+    if (
+      Number(evt.amount) !== co.amount ||
+      String(evt.currency || "").toLowerCase() !== co.currency
+    ) {
+      co.status = "amount_mismatch";
+      tx.put("checkouts", co.id, co);
+      return mark("amount_mismatch");
+    }
+
+    const rec = tx.get("keys", co.key);
+    co.status = rec ? "paid" : "orphaned";
+    co.paid_at = new Date().toISOString();
+    co.event_id = evt.event_id;
+    tx.put("checkouts", co.id, co);
+    if (!rec) return mark("key_missing");
+
+    creditTopup(rec, {
+      credits: co.credits,
+      source: providerName,
+      checkout_id: co.id,
+      package: co.package,
+      amount: co.amount,
+      currency: co.currency,
+    });
+    tx.put("keys", co.key, rec);
+    return { ...mark("credited"), co };
+  });
+}
+
+// POST /api/billing/webhook/:provider — подписанное событие от платёжки
+app.post("/api/billing/webhook/:provider", (req, res) => {
+  const provider = PAYMENT_PROVIDERS[req.params.provider];
+  if (!provider || (provider.name === "fake" && PAYMENT_PROVIDER !== "fake"))
+    return res.status(404).json({ ok: false, error: "unknown provider" });
+
+  let evt;
+  try {
+    if (!req.rawBody) throw new Error("expected application/json body");
+    evt = provider.parseWebhook(req.rawBody, req.headers);
+  } catch (e) {
+    console.warn(`[BILLING] ${provider.name} webhook rejected:`, e.message);
+    return res.status(400).json({ ok: false, error: String(e.message || e) });
+  }
+
+  try {
+    const out = fulfillPayment(provider.name, evt);
+    if (out.co) {
+      console.log(
+        `[BILLING] +${out.co.credits} credits → ${out.co.key} (${out.co.id})`
+      );
+      checkUsageThresholds(out.co.key); // пороги взводятся заново
+      emitWebhook("key.topup", out.co.key, {
+        checkout_id: out.co.id,
+        package: out.co.package,
+        credits: out.co.credits,
+      });
+    }
+    // 200 и на повтор — иначе провайдер будет ретраить до бесконечности
+    return res.json({
+      ok: true,
+      received: true,
+      duplicate: !!out.duplicate,
+      result: out.result || null,
+    });
+  } catch (e) {
+    console.error("[BILLING] webhook error:", e);
+    return res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+/* ---------- fake provider (локальная разработка) ---------- */
+
+function fakeCheckoutBySession(sessionId) {
+  if (PAYMENT_PROVIDER !== "fake") return null;
+  const found = store
+    .list("checkouts")
+    .find(([, co]) => co.session_id === sessionId);
+  return found ? found[1] : null;
+}
+
+const escapeHtml = (v) =>
+  String(v ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+
+app.get("/api/billing/fake/checkout/:session", (req, res) => {
+  const co = fakeCheckoutBySession(req.params.session);
+  if (!co) return res.status(404).send("Not found");
+  // всё из checkout — в экранированном виде; ссылка отмены — только http(s)
+  const cancelUrl = okUrl(co.cancel_url) ? co.cancel_url : "/";
+  res.type("html").send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8" /><title>Fake checkout</title></head>
+<body style="font-family:system-ui,sans-serif;max-width:420px;margin:40px auto;">
+  <h2>Fake checkout</h2>
+  <p>${escapeHtml(co.name)} for ${escapeHtml(co.key_prefix)} — ${(co.amount / 100).toFixed(2)} ${escapeHtml(String(co.currency).toUpperCase())}</p>
+  <p>Status: <b>${escapeHtml(co.status)}</b></p>
+  <form method="post" action="/api/billing/fake/checkout/${encodeURIComponent(co.session_id)}/pay">
+    <button type="submit">Pay</button>
+    <a href="${escapeHtml(cancelUrl)}">Cancel</a>
+  </form>
+</body>
+</html>`);
+});
+
+// "Оплата": шлём подписанный вебхук на свой же эндпоинт — как это сделал бы провайдер
+app.post("/api/billing/fake/checkout/:session/pay", async (req, res) => {
+  const self = `http://127.0.0.1:${req.socket.localPort}`;
+  const co = fakeCheckoutBySession(req.params.session);
+  if (!co) return res.status(404).send("Not found");
+
+  const body = JSON.stringify({
+    id: `fake_evt_${crypto.randomBytes(8).toString("hex")}`,
+    type: "payment.succeeded",
+    session_id: co.session_id,
+    checkout_id: co.id,
+    amount: co.amount,
+    currency: co.currency,
+  });
+  try {
+    await fetchJson(`${self}/api/billing/webhook/fake`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Fake-Signature": signTimestamped(body, FAKE_PAYMENTS_SECRET),
+      },
+      body,
+    });
+  } catch (e) {
+    console.error("[BILLING] fake pay error:", e);
+    return res.status(502).send(String(e.message || e));
+  }
+  res.redirect(303, co.success_url);
+});
+
+/* ====================== ADMIN AUTH (accounts / roles) ====================== */
+
+// Админы — в сторе (ns "admins"): { role, salt, hash (scrypt), disabled?, created_at }.
+// /admin — сессия в cookie (HttpOnly, SameSite=Strict); API — Authorization: Bearer <token>.
+// Роли по возрастанию: viewer — только смотреть; support — + reset / заморозка
+// и заметки; owner — всё, включая ротацию (новый секрет = сам ключ), удаление,
+// экспорт, импорт и управление админами.
+
+const ADMIN_ROLES = ["viewer", "support", "owner"];
+const ADMIN_COOKIE = "hiai_admin";
+const ADMIN_SESSION_TTL_MS =
+  parseDuration(process.env.ADMIN_SESSION_TTL || "12h") || 12 * 3600e3;
+const ADMIN_PASSWORD_MIN = 10;
+
+const scryptAsync = promisify(crypto.scrypt);
+
+async function hashPassword(password, salt) {
+  const s = salt || crypto.randomBytes(16).toString("hex");
+  const hash = (await scryptAsync(String(password), s, 64)).toString("hex");
+  return { salt: s, hash };
+}
+
+async function passwordMatches(admin, password) {
+  const { hash } = await hashPassword(password, admin.salt);
+  const a = Buffer.from(hash, "hex");
+  const b = Buffer.from(admin.hash || "", "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+const roleRank = (role) => ADMIN_ROLES.indexOf(role);
+
+// И сессии, и API-токены храним только как sha256 (ns "admin_tokens")
+const adminTokenHash = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+function issueAdminToken(username, kind, ttlMs, name) {
+  const token = `hiai_${kind === "session" ? "s" : "t"}_${crypto
+    .randomBytes(24)
+    .toString("base64url")}`;
+  const id = adminTokenHash(token);
+  const entry = {
+    admin: username,
+    kind, // "session" | "api"
+    name: name || null,
+    created_at: new Date().toISOString(),
+    expires_at: ttlMs ? new Date(Date.now() + ttlMs).toISOString() : null,
+  };
+  store.transact((tx) => tx.put("admin_tokens", id, entry));
+  return { token, token_id: id.slice(0, 16), ...entry };
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === name)
+      return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+// Кто пришёл: Bearer-токен или cookie панели (null = никто)
+function adminFromRequest(req) {
+  const auth = req.header("Authorization") || "";
+  const token = /^Bearer\s+/i.test(auth)
+    ? auth.replace(/^Bearer\s+/i, "").trim()
+    : readCookie(req, ADMIN_COOKIE);
+  if (!token) return null;
+
+  const id = adminTokenHash(token);
+  const entry = store.get("admin_tokens", id);
+  if (!entry) return null;
+  if (entry.expires_at && Date.parse(entry.expires_at) <= Date.now()) {
+    store.transact((tx) => tx.remove("admin_tokens", id));
+    return null;
+  }
+
+  // роль читаем из аккаунта — смена роли / блокировка действуют сразу
+  const admin = store.get("admins", entry.admin);
+  if (!admin || admin.disabled) return null;
+  return {
+    username: entry.admin,
+    role: admin.role,
+    via: entry.kind,
+    token_id: id.slice(0, 16),
+  };
+}
+
+// Middleware: пускаем админов с ролью не ниже minRole
+function requireAdmin(minRole = "viewer") {
+  return (req, res, next) => {
+    const admin = adminFromRequest(req);
+    if (!admin) {
+      return res.status(401).json({ ok: false, error: "admin login required" });
+    }
+    if (roleRank(admin.role) < roleRank(minRole)) {
+      return res.status(403).json({
+        ok: false,
+        error: `requires ${minRole} role`,
+      });
+    }
+    req.admin = admin;
+    next();
+  };
+}
+
+/* ---------- журнал действий админов ---------- */
+
+// Поля ключа, которые пишем в журнал (хэши, соли и секреты — никогда)
+const AUDIT_KEY_FIELDS = [
+  "prefix",
+  "max",
+  "bonus",
+  "used",
+  "plan",
+  "note",
+  "frozen",
+  "org",
+  "valid_from",
+  "expires_at",
+  "reset_period",
+  "webhook_url",
+  "webhook_thresholds",
+];
+
+function auditKeySnapshot(rec) {
+  if (!rec) return null;
+  const out = {};
+  for (const f of AUDIT_KEY_FIELDS) if (rec[f] !== undefined) out[f] = rec[f];
+  return out;
+}
+
+// Для правок пишем только то, что изменилось: { before, after }
+function auditDiff(before, after) {
+  const diff = { before: {}, after: {} };
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const f of fields) {
+    const a = before?.[f] ?? null;
+    const b = after?.[f] ?? null;
+    if (JSON.stringify(a) === JSON.stringify(b)) continue;
+    diff.before[f] = a;
+    diff.after[f] = b;
+  }
+  return diff;
+}
+
+// Одна строка audit.jsonl: кто, что, над чем, было / стало, откуда
+function audit(
+  req,
+  action,
+  { target = null, before, after, actor, ...extra } = {}
+) {
+  appendJsonl(AUDIT_LOG, {
+    ts: new Date().toISOString(),
+    actor: actor || req.admin?.username || null,
+    role: req.admin?.role || null,
+    via: req.admin?.via || null,
+    ip: req.ip,
+    action,
+    target,
+    before: before ?? null,
+    after: after ?? null,
+    ...extra,
+  });
+}
+
+// Первый owner — из env (ADMIN_USER / ADMIN_PASSWORD), только пока админов нет вовсе
+async function bootstrapAdmins() {
+  if (store.list("admins").length) return;
+
+  const username = (process.env.ADMIN_USER || "admin").trim();
+  const password = process.env.ADMIN_PASSWORD || process.env.ADMIN_SECRET;
+  if (!password) {
+    console.warn(
+      "[ADMIN] no admin accounts — set ADMIN_USER / ADMIN_PASSWORD to create the first owner"
+    );
+    return;
+  }
+
+  const cred = await hashPassword(password);
+  store.transact((tx) =>
+    tx.put("admins", username, {
+      role: "owner",
+      ...cred,
+      created_at: new Date().toISOString(),
+    })
+  );
+  console.log(`[ADMIN] owner "${username}" created from env`);
+  if (!process.env.ADMIN_PASSWORD)
+    console.warn(
+      "[ADMIN] ADMIN_PASSWORD not set — the owner password is the old ADMIN_SECRET, change it"
+    );
+}
+
+await bootstrapAdmins();
+
+/* ---------- вход / выход ---------- */
+
+// Перебор паролей: после 5 ошибок с одного IP — пауза 15 минут
+const LOGIN_FAILS = new Map(); // ip → { count, until }
+const LOGIN_MAX_FAILS = 5;
+const LOGIN_LOCK_MS = 15 * 60e3;
+
+app.post("/api/admin/login", async (req, res) => {
+  try {
+    const ip = req.ip;
+    const fails = LOGIN_FAILS.get(ip);
+    if (fails && fails.until > Date.now()) {
+      const retryAfter = Math.ceil((fails.until - Date.now()) / 1000);
+      res.setHeader("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        ok: false,
+        error: "too many failed logins",
+        retry_after: retryAfter,
+      });
+    }
+
+    const body = readBody(req.body);
+    const username = String(body.username || "").trim();
+    const admin = username ? store.get("admins", username) : null;
+    const ok =
+      admin && !admin.disabled && (await passwordMatches(admin, body.password));
+
+    if (!ok) {
+      const expired = fails && fails.until && fails.until <= Date.now();
+      const count = (expired ? 0 : fails?.count || 0) + 1;
+      LOGIN_FAILS.set(ip, {
+        count,
+        until: count >= LOGIN_MAX_FAILS ? Date.now() + LOGIN_LOCK_MS : 0,
+      });
+      audit(req, "admin.login_failed", {
+        actor: username || null,
+        target: username || null,
+      });
+      return res
+        .status(401)
+        .json({ ok: false, error: "bad username or password" });
+    }
+    LOGIN_FAILS.delete(ip);
+
+    const session = issueAdminToken(username, "session", ADMIN_SESSION_TTL_MS);
+    res.cookie(ADMIN_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: "strict",
+      secure: req.secure,
+      path: "/",
+      maxAge: ADMIN_SESSION_TTL_MS,
+    });
+    audit(req, "admin.login", {
+      actor: username,
+      target: username,
+      token_id: session.token_id,
+    });
+    return res.json({ ok: true, username, role: admin.role });
+  } catch (e) {
+    console.error("[ADMIN/LOGIN] error:", e);
+    return res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+app.post("/api/admin/logout", (req, res) => {
+  const token = readCookie(req, ADMIN_COOKIE);
+  if (token) {
+    const id = adminTokenHash(token);
+    const session = store.get("admin_tokens", id);
+    store.transact((tx) => tx.remove("admin_tokens", id));
+    if (session)
+      audit(req, "admin.logout", {
+        actor: session.admin,
+        target: session.admin,
+        token_id: id.slice(0, 16),
+      });
+  }
+  res.clearCookie(ADMIN_COOKIE, { path: "/" });
+  res.json({ ok: true });
+});
+
+app.get("/api/admin/me", requireAdmin(), (req, res) => {
+  res.json({ ok: true, ...req.admin });
+});
+
+// POST /api/admin/password — { current, password } (свой пароль)
+app.post("/api/admin/password", requireAdmin(), async (req, res) => {
+  const body = readBody(req.body);
+  const admin = store.get("admins", req.admin.username);
+  if (!(await passwordMatches(admin, body.current)))
+    return res
+      .status(403)
+      .json({ ok: false, error: "current password is wrong" });
+  if (String(body.password || "").length < ADMIN_PASSWORD_MIN)
+    return res.status(400).json({
+      ok: false,
+      error: `password must be at least ${ADMIN_PASSWORD_MIN} characters`,
+    });
+
+  const cred = await hashPassword(body.password);
+  store.transact((tx) => {
+    const rec = tx.get("admins", req.admin.username);
+    tx.put("admins", req.admin.username, { ...rec, ...cred });
+  });
+  audit(req, "admin.password", { target: req.admin.username });
+  res.json({ ok: true });
+});
+
+/* ---------- аккаунты админов (owner) ---------- */
+
+const adminView = ([username, a]) => ({
+  username,
+  role: a.role,
+  disabled: !!a.disabled,
+  created_at: a.created_at || null,
+});
+
+const ownersLeft = (tx, except) =>
+  tx
+    .list("admins")
+    .filter(([u, a]) => u !== except && a.role === "owner" && !a.disabled)
+    .length;
+
+app.get("/api/admin/admins", requireAdmin("owner"), (_req, res) => {
+  res.json({ ok: true, admins: store.list("admins").map(adminView) });
+});
+
+// POST /api/admin/admins — { username, password, role }
+app.post("/api/admin/admins", requireAdmin("owner"), async (req, res) => {
+  const body = readBody(req.body);
+  const username = String(body.username || "").trim();
+  const role = String(body.role || "viewer").trim();
+
+  if (!/^[\w.@-]{2,64}$/.test(username))
+    return res.status(400).json({ ok: false, error: "Bad username" });
+  if (!ADMIN_ROLES.includes(role))
+    return res.status(400).json({
+      ok: false,
+      error: `Bad role (use ${ADMIN_ROLES.join(", ")})`,
+    });
+  if (String(body.password || "").length < ADMIN_PASSWORD_MIN)
+    return res.status(400).json({
+      ok: false,
+      error: `password must be at least ${ADMIN_PASSWORD_MIN} characters`,
+    });
+
+  const cred = await hashPassword(body.password);
+  const created = store.transact((tx) => {
+    if (tx.get("admins", username)) return false;
+    tx.put("admins", username, {
+      role,
+      ...cred,
+      created_at: new Date().toISOString(),
+      created_by: req.admin.username,
+    });
+    return true;
+  });
+  if (!created)
+    return res.status(400).json({ ok: false, error: "Admin already exists" });
+
+  audit(req, "admin.create", { target: username, after: { role } });
+  res.json({ ok: true, admin: { username, role } });
+});
+
+// POST /api/admin/admins/update — { username, role?, password?, disabled? }
+app.post("/api/admin/admins/update", requireAdmin("owner"), async (req, res) => {
+  const body = readBody(req.body);
+  const username = String(body.username || "").trim();
+
+  if (body.role !== undefined && !ADMIN_ROLES.includes(body.role))
+    return res.status(400).json({ ok: false, error: "Bad role" });
+  if (
+    body.password !== undefined &&
+    String(body.password).length < ADMIN_PASSWORD_MIN
+  )
+    return res.status(400).json({
+      ok: false,
+      error: `password must be at least ${ADMIN_PASSWORD_MIN} characters`,
+    });
+
+  const cred = body.password ? await hashPassword(body.password) : null;
+  const result = store.transact((tx) => {
+    const rec = tx.get("admins", username);
+    if (!rec) return { status: 404, error: "Admin not found" };
+
+    const next = { ...rec, ...(cred || {}) };
+    if (body.role !== undefined) next.role = body.role;
+    if (body.disabled !== undefined)
+      next.disabled = body.disabled === true || String(body.disabled) === "true";
+    if (!next.disabled) delete next.disabled;
+
+    // без хотя бы одного активного owner админкой больше никто не управляет
+    const stillOwner = next.role === "owner" && !next.disabled;
+    if (rec.role === "owner" && !stillOwner && !ownersLeft(tx, username))
+      return { status: 400, error: "Cannot demote or disable the last owner" };
+
+    tx.put("admins", username, next);
+    // заблокировали / сменили пароль — старые сессии и токены больше не действуют
+    if (next.disabled || cred)
+      for (const [id, t] of tx.list("admin_tokens"))
+        if (t.admin === username) tx.remove("admin_tokens", id);
+    return {
+      admin: adminView([username, next]),
+      diff: auditDiff(
+        { role: rec.role, disabled: !!rec.disabled },
+        { role: next.role, disabled: !!next.disabled }
+      ),
+    };
+  });
+
+  if (result.error)
+    return res.status(result.status).json({ ok: false, error: result.error });
+  audit(req, "admin.update", {
+    target: username,
+    ...result.diff,
+    password_changed: !!cred,
+  });
+  res.json({ ok: true, admin: result.admin });
+});
+
+app.post("/api/admin/admins/delete", requireAdmin("owner"), (req, res) => {
+  const username = String(readBody(req.body).username || "").trim();
+  const result = store.transact((tx) => {
+    const rec = tx.get("admins", username);
+    if (!rec) return { status: 404, error: "Admin not found" };
+    if (rec.role === "owner" && !ownersLeft(tx, username))
+      return { status: 400, error: "Cannot delete the last owner" };
+    tx.remove("admins", username);
+    for (const [id, t] of tx.list("admin_tokens"))
+      if (t.admin === username) tx.remove("admin_tokens", id);
+    return { before: { role: rec.role, disabled: !!rec.disabled } };
+  });
+
+  if (result.error)
+    return res.status(result.status).json({ ok: false, error: result.error });
+  audit(req, "admin.delete", { target: username, before: result.before });
+  res.json({ ok: true, deleted: username });
+});
+
+/* ---------- API-токены ---------- */
+
+// GET /api/admin/tokens — свои токены (owner: ?all=1 — все)
+app.get("/api/admin/tokens", requireAdmin(), (req, res) => {
+  const all = req.query.all && req.admin.role === "owner";
+  const list = store
+    .list("admin_tokens")
+    .filter(
+      ([, t]) =>
+        t.kind === "api" && (all || t.admin === req.admin.username)
+    )
+    .map(([id, t]) => ({ token_id: id.slice(0, 16), ...t }));
+  res.json({ ok: true, tokens: list });
+});
+
+// POST /api/admin/tokens — { name, ttl? ("90d"; пусто — бессрочный) }; токен с ролью автора
+app.post("/api/admin/tokens", requireAdmin(), (req, res) => {
+  const body = readBody(req.body);
+  const name = String(body.name || "").trim();
+  if (!name) return res.status(400).json({ ok: false, error: "Name required" });
+
+  const ttlMs = body.ttl ? parseDuration(body.ttl) : null;
+  if (body.ttl && !ttlMs)
+    return res.status(400).json({
+      ok: false,
+      error: "Bad ttl (use e.g. 30d, 6mo, 1y)",
+    });
+
+  const issued = issueAdminToken(req.admin.username, "api", ttlMs, name);
+  audit(req, "token.create", {
+    target: issued.token_id,
+    after: { name, expires_at: issued.expires_at },
+  });
+  res.json({ ok: true, shown_once: true, ...issued });
+});
+
+// POST /api/admin/tokens/revoke — { token_id } (свой; owner — любой)
+app.post("/api/admin/tokens/revoke", requireAdmin(), (req, res) => {
+  const tokenId = String(readBody(req.body).token_id || "");
+  const revoked = store.transact((tx) => {
+    const found = tx
+      .list("admin_tokens")
+      .find(([id]) => tokenId.length === 16 && id.startsWith(tokenId));
+    if (!found) return false;
+    if (found[1].admin !== req.admin.username && req.admin.role !== "owner")
+      return false;
+    tx.remove("admin_tokens", found[0]);
+    return found[1];
+  });
+  if (!revoked)
+    return res.status(404).json({ ok: false, error: "Token not found" });
+  audit(req, "token.revoke", {
+    target: tokenId,
+    before: { name: revoked.name, admin: revoked.admin },
+  });
+  res.json({ ok: true });
+});
+
+/* ====================== ADMIN: KEYS PANEL ====================== */
+
+// Строка ключа для админки (список / ответ на update)
+function adminKeyView(id, rec) {
+  const limit = limitOf(rec);
+
+  const used = typeof rec.used === "number" ? rec.used : 0;
+  const remaining =
+    limit > 0 ? Math.max(0, limit - used) : null; // null = безлимит
+
+  return {
+    id,
+    prefix: rec.prefix || null,
+    limit,
+    max: typeof rec.max === "number" ? rec.max : 0,
+    bonus: rec.bonus || 0,
+    used,
+    remaining,
+    frozen: !!rec.frozen,
+    org: rec.org || null,
+    webhook_url: rec.webhook_url || null,
+    webhook_thresholds: rec.webhook_thresholds || null,
+    valid_from: rec.valid_from || null,
+    expires_at: rec.expires_at || null,
+    reset_period: rec.reset_period || null,
+    period_start: rec.period_start || null,
+    plan: rec.plan || null,
+    rotated_at: rec.rotated_at || null,
+    ...rateSnapshot(id),
+    note: rec.note || null,
+  };
 }
 
 // GET /api/admin/keys — вернуть все ключи + остаток
-app.get("/api/admin/keys", guardAdmin, (req, res) => {
+app.get("/api/admin/keys", requireAdmin(), (req, res) => {
   try {
-    const list = Object.entries(KEYS).map(([key, rec]) => {
-      const limit =
-        typeof rec.max === "number"
-          ? rec.max
-          : typeof rec.credits === "number"
-          ? rec.credits
-          : 0;
-
-      const used = typeof rec.used === "number" ? rec.used : 0;
-      const remaining =
-        limit > 0 ? Math.max(0, limit - used) : null; // null = безлимит
+    store.list("keys").forEach(([id]) => rollKeyPeriod(id));
 
-      return {
-        key,
-        limit,
-        used,
-        remaining,
-        note: rec.note || null,
-      };
-    });
+    const list = store
+      .list("keys")
+      .map(([id, rec]) => adminKeyView(id, rec));
 
     res.json({
       ok: true,
@@ -391,59 +2908,809 @@ function randomChunk(len = 6) {
   const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
   let out = "";
   for (let i = 0; i < len; i++) {
-    out += alphabet[Math.floor(Math.random() * alphabet.length)];
+    out += alphabet[crypto.randomInt(alphabet.length)];
   }
   return out;
 }
 
+// Поля нового ключа из тела запроса (new-key / bulk) → { rec, ... } или { error }
+// body: { limit, note, plan?, prefix?, duration? ("30d"), expires_at?, valid_from?,
+//         reset_period? ("daily" | "weekly" | "monthly"), reset_anchor?,
+//         org? (ключ сотрудника; limit = личный потолок, 0 = только пул) }
+function keyFieldsFromBody(body) {
+  const planId = String(body.plan || "").trim().toLowerCase();
+  if (planId && !PLANS[planId]) {
+    return { error: `Unknown plan (use ${Object.keys(PLANS).join(", ")})` };
+  }
+
+  const orgId = String(body.org || "").trim();
+  const org = orgId ? store.get("orgs", orgId) : null;
+  if (orgId && !org) return { error: "Unknown org" };
+
+  // лимит не задан — берём квоту тарифа (сотруднику — без личного потолка)
+  const rawLimit = body.limit;
+  const limitNum =
+    rawLimit === undefined || rawLimit === null || rawLimit === ""
+      ? planId && !org
+        ? PLANS[planId].quota
+        : 0
+      : Number(rawLimit);
+
+  // 0 = без лимита, поэтому опечатку ("-100", "abc") молча в безлимит не превращаем
+  if (!Number.isFinite(limitNum) || limitNum < 0)
+    return { error: "Bad limit (0 or more; 0 = unlimited)" };
+  const limit = limitNum;
+  const plan =
+    planId || (org ? org.plan : limit === 0 ? "unlimited" : "pro");
+  const note = (body.note || "").toString();
+  const prefix =
+    (body.prefix || "").toString().trim() ||
+    (planId ? planId.toUpperCase() : limit === 0 ? "VIP-UNLIM" : "PRO");
+
+  // Срок действия: valid_from (по умолчанию — сейчас) + duration, либо явный expires_at
+  let validFrom = null;
+  if (body.valid_from) {
+    const t = Date.parse(body.valid_from);
+    if (!Number.isFinite(t)) return { error: "Bad valid_from" };
+    validFrom = new Date(t).toISOString();
+  }
+
+  let expiresAt = null;
+  if (body.duration) {
+    const ms = parseDuration(body.duration);
+    if (!ms) return { error: "Bad duration (use e.g. 12h, 30d, 2w, 6mo, 1y)" };
+    const start = validFrom ? Date.parse(validFrom) : Date.now();
+    expiresAt = new Date(start + ms).toISOString();
+  } else if (body.expires_at) {
+    const t = Date.parse(body.expires_at);
+    if (!Number.isFinite(t)) return { error: "Bad expires_at" };
+    expiresAt = new Date(t).toISOString();
+  }
+
+  // Автосброс квоты по расписанию (подписки)
+  const resetPeriod = String(body.reset_period || "").trim().toLowerCase();
+  let resetAnchor = null;
+  if (resetPeriod) {
+    if (!RESET_PERIODS.includes(resetPeriod))
+      return {
+        error: `Bad reset_period (use ${RESET_PERIODS.join(", ")})`,
+      };
+    const t = body.reset_anchor
+      ? Date.parse(body.reset_anchor)
+      : validFrom
+      ? Date.parse(validFrom)
+      : Date.now();
+    if (!Number.isFinite(t)) return { error: "Bad reset_anchor" };
+    resetAnchor = new Date(t).toISOString();
+  }
+
+  const rec = {
+    max: limit,
+    used: 0,
+    plan,
+    note,
+    ...(org ? { org: orgId } : {}),
+    ...(validFrom ? { valid_from: validFrom } : {}),
+    ...(expiresAt ? { expires_at: expiresAt } : {}),
+    ...(resetAnchor
+      ? { reset_period: resetPeriod, reset_anchor: resetAnchor }
+      : {}),
+  };
+  rollPeriodInPlace(rec);
+
+  return {
+    rec,
+    limit,
+    plan,
+    note,
+    prefix,
+    org: org ? orgId : null,
+    valid_from: validFrom,
+    expires_at: expiresAt,
+    reset_period: resetAnchor ? resetPeriod : null,
+    reset_anchor: resetAnchor,
+  };
+}
+
 // POST /api/admin/new-key — создать новый ключ
-// body: { limit, note, prefix?, key? }
-app.post("/api/admin/new-key", guardAdmin, async (req, res) => {
+// body: как у keyFieldsFromBody + key? (свой ключ вместо сгенерированного)
+app.post("/api/admin/new-key", requireAdmin("owner"), async (req, res) => {
+  try {
+    const body = readBody(req.body);
+
+    const fields = keyFieldsFromBody(body);
+    if (fields.error) {
+      return res.status(400).json({ ok: false, error: fields.error });
+    }
+    const { rec, limit, plan, note, prefix } = fields;
+
+    let key =
+      (body.key || "").toString().trim() ||
+      `${prefix}-${limit > 0 ? limit : "UNLIM"}-${randomChunk(6)}`;
+
+    // проверка "такого ещё нет" + запись — одной транзакцией
+    const id = store.transact((tx) => insertKey(tx, key, rec));
+
+    if (!id) {
+      return res.status(400).json({
+        ok: false,
+        error: "Key already exists",
+      });
+    }
+    audit(req, "key.create", {
+      target: id,
+      after: auditKeySnapshot(store.get("keys", id)),
+    });
+
+    // полный ключ отдаём ОДИН раз — дальше в сторе только хэш
+    return res.json({
+      ok: true,
+      key,
+      id,
+      prefix: displayPrefix(key),
+      shown_once: true,
+      limit,
+      plan,
+      note,
+      org: fields.org,
+      valid_from: fields.valid_from,
+      expires_at: fields.expires_at,
+      reset_period: fields.reset_period,
+      reset_anchor: fields.reset_anchor,
+    });
+  } catch (e) {
+    console.error("[ADMIN/NEW-KEY] error:", e);
+    return res.status(500).json({
+      ok: false,
+      error: String(e.message || e),
+    });
+  }
+});
+
+/* ---------- организации ---------- */
+
+function orgView(id, org) {
+  const members = store.list("keys").filter(([, rec]) => rec.org === id);
+  return {
+    id,
+    name: org.name,
+    plan: org.plan || null,
+    ...orgPool(org),
+    max: typeof org.max === "number" ? org.max : 0,
+    bonus: org.bonus || 0,
+    refunded: org.refunded || 0,
+    frozen: !!org.frozen,
+    members: members.length,
+    note: org.note || null,
+    created_at: org.created_at || null,
+  };
+}
+
+// GET /api/admin/orgs — организации + остаток пула
+app.get("/api/admin/orgs", requireAdmin(), (_req, res) => {
+  const list = store.list("orgs").map(([id, org]) => orgView(id, org));
+  res.json({ ok: true, total: list.length, orgs: list });
+});
+
+// POST /api/admin/orgs — создать организацию
+// body: { name, limit (кредиты в пуле, 0 = без лимита), plan? (тариф ключей сотрудников), note? }
+app.post("/api/admin/orgs", requireAdmin("owner"), (req, res) => {
+  try {
+    const body = readBody(req.body);
+
+    const name = String(body.name || "").trim();
+    if (!name)
+      return res.status(400).json({ ok: false, error: "Name required" });
+
+    const limit = Number(body.limit ?? 0);
+    if (!Number.isFinite(limit) || limit < 0)
+      return res.status(400).json({ ok: false, error: "Bad limit" });
+
+    const plan = String(body.plan || "pro").trim().toLowerCase();
+    if (!PLANS[plan])
+      return res.status(400).json({
+        ok: false,
+        error: `Unknown plan (use ${Object.keys(PLANS).join(", ")})`,
+      });
+
+    const id = newOrgId();
+    const org = {
+      name,
+      max: limit,
+      used: 0,
+      plan,
+      note: String(body.note || ""),
+      created_at: new Date().toISOString(),
+    };
+    store.transact((tx) => tx.put("orgs", id, org));
+    audit(req, "org.create", {
+      target: id,
+      after: { name, max: limit, plan, note: org.note },
+    });
+
+    return res.json({ ok: true, org: orgView(id, org) });
+  } catch (e) {
+    console.error("[ADMIN/ORGS] error:", e);
+    return res.status(500).json({
+      ok: false,
+      error: String(e.message || e),
+    });
+  }
+});
+
+// POST /api/admin/orgs/update — пул, пополнение, имя, тариф, заморозка
+// body: { id, name?, limit?, topup?, plan?, note?, frozen? }
+app.post("/api/admin/orgs/update", requireAdmin("owner"), (req, res) => {
+  try {
+    const body = readBody(req.body);
+    const id = String(body.id || "").trim();
+
+    const patch = {};
+    if (body.name !== undefined) {
+      const name = String(body.name || "").trim();
+      if (!name)
+        return res.status(400).json({ ok: false, error: "Name required" });
+      patch.name = name;
+    }
+    if (body.limit !== undefined && body.limit !== "") {
+      const limit = Number(body.limit);
+      if (!Number.isFinite(limit) || limit < 0)
+        return res.status(400).json({ ok: false, error: "Bad limit" });
+      patch.max = limit;
+    }
+    if (body.plan !== undefined) {
+      const plan = String(body.plan).trim().toLowerCase();
+      if (!PLANS[plan])
+        return res.status(400).json({ ok: false, error: "Unknown plan" });
+      patch.plan = plan;
+    }
+    if (body.note !== undefined) patch.note = String(body.note || "");
+    if (body.frozen !== undefined)
+      patch.frozen = body.frozen === true || String(body.frozen) === "true";
+
+    const topup =
+      body.topup === undefined || body.topup === "" ? 0 : Number(body.topup);
+    if (!Number.isFinite(topup) || topup < 0)
+      return res.status(400).json({ ok: false, error: "Bad topup" });
+
+    let before = null;
+    const updated = store.transact((tx) => {
+      const org = tx.get("orgs", id);
+      if (!org) return null;
+      before = { ...org };
+      Object.assign(org, patch);
+      if (topup) org.bonus = (org.bonus || 0) + topup;
+      if (!org.frozen) delete org.frozen;
+      org.updated_at = new Date().toISOString();
+      tx.put("orgs", id, org);
+      return org;
+    });
+    if (!updated)
+      return res.status(404).json({ ok: false, error: "Org not found" });
+
+    const orgFields = ({ name, max, bonus, plan, note, frozen }) => ({
+      name,
+      max,
+      bonus: bonus || 0,
+      plan,
+      note,
+      frozen: !!frozen,
+    });
+    audit(req, "org.update", {
+      target: id,
+      ...auditDiff(orgFields(before), orgFields(updated)),
+      ...(topup ? { topup } : {}),
+    });
+
+    return res.json({ ok: true, org: orgView(id, updated) });
+  } catch (e) {
+    console.error("[ADMIN/ORGS/UPDATE] error:", e);
+    return res.status(500).json({
+      ok: false,
+      error: String(e.message || e),
+    });
+  }
+});
+
+/* ---------- вебхуки ---------- */
+
+// GET /api/admin/webhooks — глобальный адрес + сколько доставок ждут ретрая
+app.get("/api/admin/webhooks", requireAdmin(), (_req, res) => {
+  const global = globalWebhook();
+  res.json({
+    ok: true,
+    url: global.url || null,
+    thresholds: global.thresholds || DEFAULT_THRESHOLDS,
+    has_secret: !!global.secret,
+    pending: store.list("webhook_outbox").length,
+  });
+});
+
+// POST /api/admin/webhooks — глобальный адрес для всех ключей
+// body: { url? ("" — выключить), thresholds? ("80,100"), rotate_secret? }
+app.post("/api/admin/webhooks", requireAdmin("owner"), (req, res) => {
+  const body = readBody(req.body);
+
+  const patch = {};
+  if (body.url !== undefined) {
+    const url = String(body.url || "").trim();
+    if (url && !okUrl(url))
+      return res.status(400).json({ ok: false, error: "Bad url" });
+    patch.url = url || null;
+  }
+  if (body.thresholds !== undefined) {
+    const list = parseThresholds(body.thresholds);
+    if (!list)
+      return res.status(400).json({
+        ok: false,
+        error: "Bad thresholds (percent list, e.g. 80,100)",
+      });
+    patch.thresholds = list;
+  }
+
+  const { config, secret, prev } = store.transact((tx) => {
+    const prev = tx.get("meta", "webhooks") || {};
+    const config = { ...prev, ...patch };
+    let secret = null;
+    if (config.url && (!config.secret || body.rotate_secret)) {
+      config.secret = secret = newWebhookSecret();
+    }
+    tx.put("meta", "webhooks", config);
+    return { config, secret, prev };
+  });
+  audit(req, "webhooks.update", {
+    target: "global",
+    ...auditDiff(
+      { url: prev.url, thresholds: prev.thresholds },
+      { url: config.url, thresholds: config.thresholds }
+    ),
+    secret_rotated: !!secret,
+  });
+
+  res.json({
+    ok: true,
+    url: config.url || null,
+    thresholds: config.thresholds || DEFAULT_THRESHOLDS,
+    has_secret: !!config.secret,
+    ...(secret ? { secret, shown_once: true } : {}),
+  });
+});
+
+// POST /api/admin/webhooks/test — событие ping (body: { key? })
+app.post("/api/admin/webhooks/test", requireAdmin("support"), (req, res) => {
+  const body = readBody(req.body);
+  const id = body.key ? resolveKeyRef(body.key) : null;
+  if (body.key && !id)
+    return res.status(404).json({ ok: false, error: "Key not found" });
+  emitWebhook("ping", id, { note: "test delivery from admin panel" });
+  audit(req, "webhooks.test", { target: id || "global" });
+  res.json({ ok: true });
+});
+
+// GET /api/admin/webhooks/deliveries?key=...&limit=100 — журнал попыток, свежие сверху
+app.get("/api/admin/webhooks/deliveries", requireAdmin(), (req, res) => {
+  const id = req.query.key ? resolveKeyRef(req.query.key) : null;
+  if (req.query.key && !id)
+    return res.status(404).json({ ok: false, error: "Key not found" });
+  const limit = Math.min(1000, Number(req.query.limit) || 100);
+
+  const list = readJsonl(WEBHOOKS_LOG)
+    .filter((e) => !id || e.key === id)
+    .slice(-limit)
+    .reverse();
+  res.json({ ok: true, total: list.length, deliveries: list });
+});
+
+/* ---------- массовое создание и импорт ---------- */
+
+const BULK_MAX = 1000;
+
+// POST /api/admin/keys/bulk — пачка одинаковых ключей (промо, партнёры)
+// body: как у new-key + count; ответ — CSV с полными ключами (?format=json — JSON)
+app.post("/api/admin/keys/bulk", requireAdmin("owner"), (req, res) => {
+  try {
+    const body = readBody(req.body);
+
+    const count = Number(body.count);
+    if (!Number.isInteger(count) || count < 1 || count > BULK_MAX) {
+      return res.status(400).json({
+        ok: false,
+        error: `Bad count (1–${BULK_MAX})`,
+      });
+    }
+
+    const fields = keyFieldsFromBody(body);
+    if (fields.error) {
+      return res.status(400).json({ ok: false, error: fields.error });
+    }
+    const { rec, limit, prefix } = fields;
+    const batch = `b_${crypto.randomBytes(4).toString("hex")}`;
+    const stem = `${prefix}-${limit > 0 ? limit : "UNLIM"}`;
+
+    // вся пачка — одной транзакцией: либо все ключи, либо ни одного
+    const created = store.transact((tx) => {
+      const out = [];
+      while (out.length < count) {
+        const key = `${stem}-${randomChunk(8)}`;
+        const id = insertKey(tx, key, { ...rec, batch });
+        if (id) out.push({ key, id, prefix: displayPrefix(key) });
+      }
+      return out;
+    });
+    console.log(`[KEYS] bulk ${batch}: ${created.length} × ${prefix}`);
+    audit(req, "key.bulk_create", {
+      target: batch,
+      after: { count: created.length, ...auditKeySnapshot(rec) },
+      keys: created.map((k) => k.id),
+    });
+
+    if (String(req.query.format || body.format) === "json") {
+      return res.json({
+        ok: true,
+        batch,
+        shown_once: true,
+        total: created.length,
+        keys: created,
+      });
+    }
+
+    // те же колонки, что понимает /api/admin/keys/import
+    const rows = [
+      [
+        "Key",
+        "ID",
+        "Key prefix",
+        "Limit (credits)",
+        "Plan",
+        "Org",
+        "Valid from",
+        "Expires at",
+        "Note",
+      ],
+      ...created.map((k) => [
+        k.key,
+        k.id,
+        k.prefix,
+        limit === 0 ? "∞" : String(limit),
+        fields.plan,
+        fields.org || "",
+        fields.valid_from || "",
+        fields.expires_at || "",
+        fields.note,
+      ]),
+    ];
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="hiai_keys_${batch}.csv"`
+    );
+    return res.send(toCsv(rows));
+  } catch (e) {
+    console.error("[ADMIN/KEYS/BULK] error:", e);
+    return res.status(500).json({
+      ok: false,
+      error: String(e.message || e),
+    });
+  }
+});
+
+// Колонка export.csv / поле export.json → имя поля: "Limit (credits)" → "limit"
+function importFieldName(name) {
+  return String(name)
+    .replace(/\(.*?\)/g, "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "_");
+}
+
+// Одна строка импорта → { key, rec } или { error }
+function importRow(row) {
+  const key = String(row.key ?? "").trim();
+  if (!key) {
+    return {
+      error: row.id
+        ? "missing Key (export.csv holds only prefixes — add the full key)"
+        : "missing Key",
+    };
+  }
+  if (/\s/.test(key)) return { error: "Key contains whitespace" };
+
+  const num = (v, name) => {
+    if (v === undefined || v === null || String(v).trim() === "") return null;
+    if (String(v).trim() === "∞") return 0;
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 ? n : { error: `Bad ${name}` };
+  };
+  const limit = num(row.limit, "limit");
+  const used = num(row.used, "used");
+  const bonus = num(row.bonus, "bonus");
+  for (const v of [limit, used, bonus]) if (v && v.error) return v;
+
+  const planId = String(row.plan ?? "").trim().toLowerCase();
+  if (planId && !PLANS[planId]) return { error: `Unknown plan "${planId}"` };
+
+  const orgId = String(row.org ?? "").trim();
+  const org = orgId ? store.get("orgs", orgId) : null;
+  if (orgId && !org) return { error: `Unknown org "${orgId}"` };
+
+  const date = (v, name) => {
+    if (!v) return null;
+    const t = Date.parse(v);
+    return Number.isFinite(t)
+      ? new Date(t).toISOString()
+      : { error: `Bad ${name}` };
+  };
+  const validFrom = date(row.valid_from, "valid_from");
+  const expiresAt = date(row.expires_at, "expires_at");
+  for (const v of [validFrom, expiresAt]) if (v && v.error) return v;
+
+  const max = limit ?? (planId && !org ? PLANS[planId].quota : 0);
+  return {
+    key,
+    rec: {
+      max,
+      used: used || 0,
+      ...(bonus ? { bonus } : {}),
+      plan: planId || (org ? org.plan : max === 0 ? "unlimited" : "pro"),
+      note: String(row.note ?? ""),
+      ...(orgId ? { org: orgId } : {}),
+      ...(validFrom ? { valid_from: validFrom } : {}),
+      ...(expiresAt ? { expires_at: expiresAt } : {}),
+      ...(/^(yes|true|1)$/i.test(String(row.frozen ?? "").trim())
+        ? { frozen: true }
+        : {}),
+      imported_at: new Date().toISOString(),
+    },
+  };
+}
+
+// POST /api/admin/keys/import — перенос ключей из CSV / JSON (колонки как в export.csv + "Key")
+// body: text/csv, либо { csv: "..." }, либо { rows: [...] } / [...] (как export.json)
+// ?dry_run=1 — только проверить. Плохие строки и дубли не останавливают импорт — они в отчёте.
+app.post(
+  "/api/admin/keys/import",
+  requireAdmin("owner"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "10mb" }),
+  (req, res) => {
+    try {
+      let rows = [];
+      const body = typeof req.body === "string" ? { csv: req.body } : req.body;
+      if (typeof body?.csv === "string") {
+        const [header = [], ...lines] = parseCsv(body.csv);
+        const names = header.map(importFieldName);
+        rows = lines.map((cells) =>
+          Object.fromEntries(names.map((n, i) => [n, cells[i]]))
+        );
+      } else {
+        const list = Array.isArray(body) ? body : body?.rows || body?.keys;
+        if (Array.isArray(list))
+          rows = list.map((r) =>
+            Object.fromEntries(
+              Object.entries(r || {}).map(([k, v]) => [importFieldName(k), v])
+            )
+          );
+      }
+
+      if (!rows.length) {
+        return res.status(400).json({ ok: false, error: "No rows to import" });
+      }
+
+      const dryRun = ["1", "true"].includes(
+        String(req.query.dry_run ?? body?.dry_run ?? "")
+      );
+
+      // строки считаем с 1 — без заголовка CSV
+      const errors = [];
+      const duplicates = [];
+      const valid = [];
+      const seen = new Map();
+      rows.forEach((row, i) => {
+        const n = i + 1;
+        const parsed = importRow(row);
+        if (parsed.error) return errors.push({ row: n, error: parsed.error });
+
+        const prefix = displayPrefix(parsed.key);
+        if (seen.has(parsed.key))
+          return duplicates.push({
+            row: n,
+            key_prefix: prefix,
+            duplicate_of: `row ${seen.get(parsed.key)}`,
+          });
+        seen.set(parsed.key, n);
+
+        const existing =
+          findKeyId(parsed.key) ||
+          (row.id && store.get("keys", row.id) ? row.id : null);
+        if (existing)
+          return duplicates.push({
+            row: n,
+            key_prefix: prefix,
+            duplicate_of: existing,
+          });
+
+        valid.push({ n, prefix, ...parsed });
+      });
+
+      let imported = [];
+      if (!dryRun && valid.length) {
+        imported = store.transact((tx) =>
+          valid.flatMap((v) => {
+            const id = insertKey(tx, v.key, v.rec);
+            if (id) return [{ row: v.n, id, key_prefix: v.prefix }];
+            duplicates.push({ row: v.n, key_prefix: v.prefix });
+            return [];
+          })
+        );
+        console.log(`[KEYS] imported ${imported.length} of ${rows.length}`);
+        audit(req, "key.import", {
+          after: { imported: imported.length, total: rows.length },
+          keys: imported.map((k) => k.id),
+        });
+      }
+
+      return res.json({
+        ok: true,
+        dry_run: dryRun,
+        total: rows.length,
+        valid: valid.length,
+        imported: imported.length,
+        keys: imported,
+        duplicates,
+        errors,
+      });
+    } catch (e) {
+      console.error("[ADMIN/KEYS/IMPORT] error:", e);
+      return res.status(500).json({
+        ok: false,
+        error: String(e.message || e),
+      });
+    }
+  }
+);
+
+// Что support может менять сам; лимиты, деньги, тариф и вебхуки — только owner
+const SUPPORT_KEY_FIELDS = ["key", "id", "note", "frozen"];
+
+// POST /api/admin/keys/update — правка существующего ключа
+// body: { key (id или полный ключ), limit?, topup? (кредиты сверх квоты), note?, plan?, frozen?,
+//         org? (id организации; "" — отвязать),
+//         webhook_url? ("" — убрать), webhook_thresholds? ("80,100"; "" — как глобально) }
+app.post("/api/admin/keys/update", requireAdmin("support"), (req, res) => {
   try {
     const body = readBody(req.body);
 
-    const rawLimit = body.limit;
-    const limitNum =
-      rawLimit === undefined || rawLimit === null || rawLimit === ""
-        ? 0
-        : Number(rawLimit);
-
-    const limit = Number.isFinite(limitNum) ? limitNum : 0;
-    const note = (body.note || "").toString();
-    const prefix =
-      (body.prefix || "").toString().trim() ||
-      (limit === 0 ? "VIP-UNLIM" : "PRO");
-    let key =
-      (body.key || "").toString().trim() ||
-      `${prefix}-${limit > 0 ? limit : "UNLIM"}-${randomChunk(6)}`;
+    const ownerOnly = Object.keys(body).filter(
+      (f) => !SUPPORT_KEY_FIELDS.includes(f)
+    );
+    if (ownerOnly.length && req.admin.role !== "owner") {
+      return res.status(403).json({
+        ok: false,
+        error: `requires owner role: ${ownerOnly.join(", ")}`,
+      });
+    }
+
+    const id = resolveKeyRef(body.key || body.id);
+    if (!id) return res.status(404).json({ ok: false, error: "Key not found" });
+
+    const has = (f) =>
+      body[f] !== undefined && body[f] !== null && body[f] !== "";
+    const patch = {};
+
+    if (has("limit")) {
+      const limit = Number(body.limit);
+      if (!Number.isFinite(limit) || limit < 0)
+        return res.status(400).json({ ok: false, error: "Bad limit" });
+      patch.max = limit;
+    }
+
+    let topup = 0;
+    if (has("topup")) {
+      topup = Number(body.topup);
+      if (!Number.isFinite(topup) || topup <= 0)
+        return res.status(400).json({
+          ok: false,
+          error: "Bad topup (positive number of credits)",
+        });
+    }
+
+    if (has("plan")) {
+      const planId = String(body.plan).trim().toLowerCase();
+      if (!PLANS[planId])
+        return res.status(400).json({
+          ok: false,
+          error: `Unknown plan (use ${Object.keys(PLANS).join(", ")})`,
+        });
+      patch.plan = planId;
+    }
+
+    if (body.note !== undefined) patch.note = String(body.note || "");
+
+    if (body.org !== undefined) {
+      const orgId = String(body.org || "").trim();
+      if (orgId && !store.get("orgs", orgId))
+        return res.status(400).json({ ok: false, error: "Unknown org" });
+      patch.org = orgId || undefined;
+    }
+
+    if (body.webhook_url !== undefined) {
+      const url = String(body.webhook_url || "").trim();
+      if (url && !okUrl(url))
+        return res.status(400).json({ ok: false, error: "Bad webhook_url" });
+      patch.webhook_url = url || undefined;
+    }
+
+    if (body.webhook_thresholds !== undefined) {
+      const raw = body.webhook_thresholds;
+      const list = raw === "" || raw === null ? null : parseThresholds(raw);
+      if (list === null && raw !== "" && raw !== null)
+        return res.status(400).json({
+          ok: false,
+          error: "Bad webhook_thresholds (percent list, e.g. 80,100)",
+        });
+      patch.webhook_thresholds = list || undefined;
+    }
+
+    let frozen = null;
+    if (body.frozen !== undefined) {
+      frozen = body.frozen === true || String(body.frozen) === "true";
+    }
+
+    if (!Object.keys(patch).length && !topup && frozen === null)
+      return res.status(400).json({ ok: false, error: "Nothing to update" });
+
+    const updated = store.transact((tx) => {
+      const rec = tx.get("keys", id);
+      if (!rec) return { status: 404, error: "Key not found" };
+
+      rollPeriodInPlace(rec);
+      const before = auditKeySnapshot(rec);
+      Object.assign(rec, patch);
+      for (const f of ["org", "webhook_url", "webhook_thresholds"])
+        if (!rec[f]) delete rec[f];
+
+      // секрет подписи выдаём при первом webhook_url
+      let webhookSecret = null;
+      if (rec.webhook_url && !rec.webhook_secret) {
+        rec.webhook_secret = webhookSecret = newWebhookSecret();
+      }
+      if (topup && !(rec.max > 0))
+        return { status: 400, error: "Unlimited key needs no top-up" };
+      if (topup) creditTopup(rec, { credits: topup, source: "admin" });
+      if (frozen === true && !rec.frozen) {
+        rec.frozen = true;
+        rec.frozen_at = new Date().toISOString();
+      } else if (frozen === false) {
+        delete rec.frozen;
+        delete rec.frozen_at;
+      }
+      rec.updated_at = new Date().toISOString();
 
-    if (KEYS[key]) {
-      return res.status(400).json({
-        ok: false,
-        error: "Key already exists",
-      });
-    }
+      tx.put("keys", id, rec);
+      return { rec, webhookSecret, before };
+    });
 
-    KEYS[key] = {
-      max: limit,
-      used: 0,
-      note,
-    };
+    if (updated.error)
+      return res
+        .status(updated.status)
+        .json({ ok: false, error: updated.error });
 
-    try {
-      fs.writeFileSync(KEYS_DB, JSON.stringify(KEYS, null, 2));
-    } catch (e) {
-      console.error("[ADMIN/NEW-KEY] write keys.json failed:", e);
-    }
+    audit(req, "key.update", {
+      target: id,
+      ...auditDiff(updated.before, auditKeySnapshot(updated.rec)),
+      ...(topup ? { topup } : {}),
+    });
+
+    checkUsageThresholds(id);
 
     return res.json({
       ok: true,
-      key,
-      limit,
-      note,
+      key: adminKeyView(id, updated.rec),
+      ...(updated.webhookSecret
+        ? { webhook_secret: updated.webhookSecret, shown_once: true }
+        : {}),
     });
   } catch (e) {
-    console.error("[ADMIN/NEW-KEY] error:", e);
+    console.error("[ADMIN/KEYS/UPDATE] error:", e);
     return res.status(500).json({
       ok: false,
       error: String(e.message || e),
@@ -451,26 +3718,83 @@ app.post("/api/admin/new-key", guardAdmin, async (req, res) => {
   }
 });
 
-// Сбросить счётчик used для ключа
-app.post("/api/admin/keys/reset", (req, res) => {
-  if (!ensureAdmin(req, res)) return;
-  const body = readBody(req.body);
-  const key = String(body.key || "").trim();
+// POST /api/admin/keys/rotate — новый секрет для того же баланса и тарифа
+// body: { key (id или полный ключ), grace? ("24h"; "0" = старый сразу перестаёт работать) }
+// Только owner: в ответе полный новый ключ
+app.post("/api/admin/keys/rotate", requireAdmin("owner"), (req, res) => {
+  try {
+    const body = readBody(req.body);
+    const id = resolveKeyRef(body.key || body.id);
+    if (!id) return res.status(404).json({ ok: false, error: "Key not found" });
 
-  if (!key || !KEYS[key]) {
-    return res.status(404).json({ ok: false, error: "Key not found" });
-  }
+    const graceRaw = body.grace === undefined ? "24h" : String(body.grace);
+    const graceMs = graceRaw === "0" ? 0 : parseDuration(graceRaw);
+    if (graceMs === null)
+      return res.status(400).json({
+        ok: false,
+        error: "Bad grace (use e.g. 0, 12h, 1d)",
+      });
 
-  KEYS[key].used = 0;
-  saveKeys();
+    const rotated = store.transact((tx) => {
+      const rec = tx.get("keys", id);
+      if (!rec) return null;
+      const oldPrefix = rec.prefix;
+
+      let fresh, cred;
+      do {
+        fresh = `${String(rec.plan || "KEY").toUpperCase()}-${randomChunk(12)}`;
+        cred = keyCredentials(fresh);
+      } while (tx.get("key_lookup", cred.lookup));
+
+      // у прошлой ротации грейс ещё мог не кончиться — тот секрет убиваем
+      if (rec.prev_secret) tx.remove("key_lookup", rec.prev_secret.lookup);
+
+      const graceUntil = new Date(Date.now() + graceMs).toISOString();
+      if (graceMs > 0) {
+        rec.prev_secret = {
+          salt: rec.salt,
+          hash: rec.hash,
+          lookup: rec.lookup,
+          prefix: rec.prefix,
+          expires_at: graceUntil,
+        };
+        tx.put("key_lookup", rec.lookup, {
+          id,
+          generation: "previous",
+          expires_at: graceUntil,
+        });
+      } else {
+        delete rec.prev_secret;
+        tx.remove("key_lookup", rec.lookup);
+      }
 
-  const rec = getKeyRecord(key);
-  return res.json({
-    ok: true,
-    key: rec.key,
-    limit: rec.limit,
-    used: rec.used,
-  });
+      Object.assign(rec, cred, { rotated_at: new Date().toISOString() });
+      tx.put("keys", id, rec);
+      tx.put("key_lookup", cred.lookup, { id, generation: "current" });
+
+      return {
+        key: fresh,
+        prefix: cred.prefix,
+        old_prefix: oldPrefix,
+        old_valid_until: graceMs > 0 ? graceUntil : null,
+      };
+    });
+
+    if (!rotated)
+      return res.status(404).json({ ok: false, error: "Key not found" });
+
+    const { old_prefix: oldPrefix, ...shown } = rotated;
+    audit(req, "key.rotate", {
+      target: id,
+      before: { prefix: oldPrefix },
+      after: { prefix: shown.prefix, old_valid_until: shown.old_valid_until },
+    });
+
+    return res.json({ ok: true, id, shown_once: true, ...shown });
+  } catch (e) {
+    console.error("[ADMIN/ROTATE] error:", e);
+    return res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
 });
 
 // GET /admin — простая HTML-панель
@@ -494,6 +3818,10 @@ app.get("/admin", (req, res) => {
     padding:0 16px 40px;
   }
   h1{margin:0 0 12px;font-size:24px;}
+  /* кнопки не по роли прячем, сервер всё равно проверит */
+  body.role-viewer [data-role="support"],
+  body.role-viewer [data-role="owner"],
+  body.role-support [data-role="owner"]{display:none !important;}
   .card{
     background:#fff;
     border-radius:12px;
@@ -536,6 +3864,9 @@ app.get("/admin", (req, res) => {
   }
   th{background:#fafafe;font-weight:600;}
   td.note{white-space:normal;max-width:260px;}
+  tr.expiring td{background:#fff6e0;}
+  tr.expired td{background:#ffecec;color:#999;}
+  tr.frozen td{background:#eef2f7;color:#778;}
   .tag{
     display:inline-block;
     padding:2px 8px;
@@ -546,6 +3877,7 @@ app.get("/admin", (req, res) => {
   .tag.pro{background:#ffe4ce;}
   .tag.free{background:#e7f5ff;}
   .tag.vip{background:#e6ffed;}
+  .tag.creator{background:#f1e7ff;}
   .row{display:flex;gap:8px;flex-wrap:wrap;align-items:center;}
   .muted{color:#666;font-size:12px;}
   .error{color:#c00;font-size:13px;margin-top:4px;}
@@ -565,40 +3897,170 @@ app.get("/admin", (req, res) => {
     background:#ffecec;
     color:#b00;
   }
+
+  /* inline-редактирование в таблице */
+  td input.inline, td select.inline{
+    width:auto;
+    padding:3px 6px;
+    border-radius:6px;
+    border:1px solid #ddd;
+    font:inherit;
+    font-size:12px;
+    margin:0;
+  }
+  td input.inline[type=number]{width:70px;}
+  td input.inline.note{width:140px;}
 </style>
 </head>
 <body>
 <div class="wrap">
   <h1>HI-AI — Keys Admin</h1>
-  <p class="muted">
-    Панель для просмотра и создания ключей. Передай ?secret=YOUR_ADMIN_SECRET в URL.<br/>
-    Пример: <code>?secret=SUPER-SECRET-PASS</code>
-  </p>
+  <p class="muted" id="whoami"></p>
+
+  <div class="card" id="loginCard" style="display:none;max-width:360px;">
+    <h2 style="margin-top:0;font-size:18px;">Sign in</h2>
+    <form id="loginForm">
+      <label>Username</label>
+      <input id="loginUser" autocomplete="username" />
+      <label>Password</label>
+      <input id="loginPass" type="password" autocomplete="current-password" />
+      <button type="submit">Sign in</button>
+      <div id="loginError" class="error"></div>
+    </form>
+  </div>
 
-  <div class="card">
+  <div id="panel" style="display:none;">
+  <div class="card" data-role="owner">
     <h2 style="margin-top:0;font-size:18px;">Create new key</h2>
     <div class="row" style="margin-bottom:8px;">
       <div style="flex:1 1 140px;min-width:140px;">
-        <label>Limit (0 = unlimited)</label>
+        <label>Limit, credits (0 = unlimited)</label>
         <input id="limitInput" type="number" min="0" value="100" />
       </div>
+      <div style="flex:1 1 140px;min-width:140px;">
+        <label>Plan</label>
+        <select id="planInput" style="width:100%;padding:8px 10px;border-radius:8px;border:1px solid #ddd;font:inherit;margin-bottom:8px;">
+          <option value="">auto (by limit)</option>
+          <option value="free">Free</option>
+          <option value="creator">Creator</option>
+          <option value="pro">Pro</option>
+          <option value="unlimited">Unlimited</option>
+        </select>
+      </div>
       <div style="flex:1 1 140px;min-width:140px;">
         <label>Prefix (optional)</label>
         <input id="prefixInput" placeholder="PRO, FREE, VIP-UNLIM…" />
       </div>
+      <div style="flex:1 1 140px;min-width:140px;">
+        <label>Duration (optional)</label>
+        <input id="durationInput" placeholder="30d, 2w, 6mo, 1y…" />
+      </div>
+      <div style="flex:1 1 140px;min-width:140px;">
+        <label>Quota reset</label>
+        <select id="resetInput" style="width:100%;padding:8px 10px;border-radius:8px;border:1px solid #ddd;font:inherit;margin-bottom:8px;">
+          <option value="">never</option>
+          <option value="daily">daily</option>
+          <option value="weekly">weekly</option>
+          <option value="monthly">monthly</option>
+        </select>
+      </div>
+      <div style="flex:1 1 140px;min-width:140px;">
+        <label>Organization</label>
+        <select id="orgInput" title="Member keys draw from the org pool; limit becomes a personal cap (0 = pool only)" style="width:100%;padding:8px 10px;border-radius:8px;border:1px solid #ddd;font:inherit;margin-bottom:8px;">
+          <option value="">none (own balance)</option>
+        </select>
+      </div>
     </div>
     <label>Note (optional)</label>
     <textarea id="noteInput" rows="2" placeholder="Who is this key for?"></textarea>
 
-    <button id="createBtn">Create key</button>
-    <span id="createStatus" class="muted" style="margin-left:8px;"></span>
+    <div class="row">
+      <button id="createBtn">Create key</button>
+      <input id="countInput" type="number" min="1" max="1000" value="50" style="width:90px;margin:0;" />
+      <button id="bulkBtn">Create batch (CSV)</button>
+      <span id="createStatus" class="muted"></span>
+    </div>
+  </div>
+
+  <div class="card">
+    <h2 style="margin-top:0;font-size:18px;">Organizations</h2>
+    <p class="muted" style="margin-top:0;">
+      One credit pool shared by member keys. Pick the organization in “Create new key” to issue a member key.
+    </p>
+    <div class="row" data-role="owner">
+      <input id="orgNameInput" placeholder="Agency name" style="flex:2 1 180px;margin:0;" />
+      <input id="orgLimitInput" type="number" min="0" value="1000" title="Pool, credits (0 = unlimited)" style="flex:1 1 90px;margin:0;" />
+      <button id="orgCreateBtn">Create organization</button>
+    </div>
+    <div style="overflow:auto;margin-top:8px;">
+      <table id="orgsTable">
+        <thead>
+          <tr>
+            <th>Organization</th>
+            <th>Pool (cr)</th>
+            <th>Used (cr)</th>
+            <th>Remaining (cr)</th>
+            <th>Members</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <pre id="orgReport" class="muted" style="white-space:pre-wrap;margin:8px 0 0;"></pre>
+  </div>
+
+  <div class="card">
+    <h2 style="margin-top:0;font-size:18px;">Webhooks</h2>
+    <p class="muted" style="margin-top:0;">
+      Signed POSTs on <code>usage.threshold</code>, <code>key.expired</code> and <code>key.reset</code>.
+      The global URL gets events for every key; set a per-key URL with the “Webhook” button in the table.
+    </p>
+    <div class="row" data-role="owner">
+      <input id="whUrlInput" placeholder="https://example.com/hiai-webhook (empty = off)" style="flex:3 1 240px;margin:0;" />
+      <input id="whThresholdsInput" placeholder="80,100" title="Thresholds, % of limit" style="flex:1 1 80px;margin:0;" />
+      <button id="whSaveBtn">Save</button>
+      <button id="whTestBtn" class="btn-sm" data-role="support">Send test</button>
+    </div>
+    <div id="whStatus" class="muted" style="margin-top:6px;"></div>
+    <div style="overflow:auto;margin-top:8px;max-height:260px;">
+      <table id="whTable">
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>Event</th>
+            <th>Key</th>
+            <th>URL</th>
+            <th>Attempt</th>
+            <th>Result</th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+  </div>
+
+  <div class="card" data-role="owner">
+    <h2 style="margin-top:0;font-size:18px;">Import keys</h2>
+    <p class="muted" style="margin-top:0;">
+      CSV or JSON with the same columns as Export CSV / Export JSON plus a <code>Key</code> column with the full key.
+      Bad rows and duplicates are skipped and listed below.
+    </p>
+    <div class="row">
+      <input id="importFile" type="file" accept=".csv,.json,text/csv,application/json" style="flex:1 1 240px;margin:0;" />
+      <label style="display:flex;gap:4px;align-items:center;margin:0;">
+        <input id="importDry" type="checkbox" style="width:auto;margin:0;" checked /> dry run
+      </label>
+      <button id="importBtn">Import</button>
+    </div>
+    <pre id="importReport" class="muted" style="white-space:pre-wrap;margin:8px 0 0;"></pre>
   </div>
 
   <div class="card">
     <h2 style="margin-top:0;font-size:18px;">All keys</h2>
 
     <!-- кнопки экспорта -->
-    <div style="display:flex;justify-content:flex-end;gap:8px;margin-bottom:6px;">
+    <div style="display:flex;justify-content:flex-end;gap:8px;margin-bottom:6px;" data-role="owner">
       <button id="btnExportJson" class="btn-sm" style="border-radius:999px;">
         Export JSON
       </button>
@@ -616,10 +4078,12 @@ app.get("/admin", (req, res) => {
         <thead>
           <tr>
             <th>Key</th>
-            <th>Limit</th>
-            <th>Used</th>
-            <th>Remaining</th>
+            <th>Limit (cr)</th>
+            <th>Used (cr)</th>
+            <th>Remaining (cr)</th>
             <th>Plan</th>
+            <th>Expires</th>
+            <th>In-flight</th>
             <th>Note</th>
             <th>Actions</th>
           </tr>
@@ -628,21 +4092,150 @@ app.get("/admin", (req, res) => {
       </table>
     </div>
   </div>
+
+  <div class="card">
+    <h2 style="margin-top:0;font-size:18px;">Analytics</h2>
+    <div class="row">
+      <input id="anFrom" type="date" style="flex:0 1 140px;margin:0;" />
+      <input id="anTo" type="date" style="flex:0 1 140px;margin:0;" />
+      <button id="anLoadBtn">Show</button>
+      <span class="muted">JSON: <code>/api/admin/analytics?from=&amp;to=</code></span>
+    </div>
+    <div id="anTotals" class="muted" style="margin-top:6px;"></div>
+    <h3 style="font-size:15px;">By route</h3>
+    <div style="overflow:auto;">
+      <table id="anRoutes">
+        <thead>
+          <tr><th>Route</th><th>Generations</th><th>Success</th><th>p50 / p95</th><th>Credits</th><th>Provider $</th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <h3 style="font-size:15px;">By model</h3>
+    <div style="overflow:auto;">
+      <table id="anModels">
+        <thead>
+          <tr><th>Model</th><th>Predictions</th><th>Success</th><th>Run time p50 / p95</th><th>Run time, s</th><th>Provider $</th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <h3 style="font-size:15px;">Top keys by spend</h3>
+    <div style="overflow:auto;">
+      <table id="anKeys">
+        <thead>
+          <tr><th>Key</th><th>Generations</th><th>Success</th><th>Credits</th><th>Provider $</th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <h3 style="font-size:15px;">Per day</h3>
+    <div style="overflow:auto;">
+      <table id="anDays">
+        <thead>
+          <tr><th>Day</th><th>Route</th><th>Generations</th><th>Failed</th><th>Credits</th><th>Provider $</th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+  </div>
+
+  <div class="card">
+    <h2 style="margin-top:0;font-size:18px;">Admins &amp; API tokens</h2>
+    <div data-role="owner">
+      <div class="row">
+        <input id="adminUserInput" placeholder="username" style="flex:1 1 140px;margin:0;" />
+        <input id="adminPassInput" type="password" placeholder="password (10+ chars)" autocomplete="new-password" style="flex:1 1 160px;margin:0;" />
+        <select id="adminRoleInput" class="inline" style="padding:8px 10px;">
+          <option value="viewer">viewer</option>
+          <option value="support">support</option>
+          <option value="owner">owner</option>
+        </select>
+        <button id="adminCreateBtn">Add admin</button>
+      </div>
+      <div style="overflow:auto;margin-top:8px;">
+        <table id="adminsTable">
+          <thead>
+            <tr><th>Admin</th><th>Role</th><th>Status</th><th>Actions</th></tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    </div>
+    <p class="muted">
+      API tokens act with your role: <code>Authorization: Bearer &lt;token&gt;</code>.
+    </p>
+    <div class="row">
+      <input id="tokenNameInput" placeholder="token name (e.g. billing-sync)" style="flex:2 1 180px;margin:0;" />
+      <input id="tokenTtlInput" placeholder="expires in (90d, empty = never)" style="flex:1 1 140px;margin:0;" />
+      <button id="tokenCreateBtn">Create token</button>
+    </div>
+    <div style="overflow:auto;margin-top:8px;">
+      <table id="tokensTable">
+        <thead>
+          <tr><th>Name</th><th>Owner</th><th>Created</th><th>Expires</th><th></th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <div id="adminsStatus" class="muted" style="margin-top:6px;"></div>
+  </div>
+
+  <div class="card" data-role="owner">
+    <h2 style="margin-top:0;font-size:18px;">Audit log</h2>
+    <div class="row">
+      <input id="auditActor" placeholder="admin" style="flex:1 1 110px;margin:0;" />
+      <input id="auditAction" placeholder="action (key, key.delete…)" style="flex:1 1 150px;margin:0;" />
+      <input id="auditTarget" placeholder="key id / key / target" style="flex:1 1 150px;margin:0;" />
+      <input id="auditFrom" type="date" style="flex:0 1 140px;margin:0;" />
+      <input id="auditTo" type="date" style="flex:0 1 140px;margin:0;" />
+      <button id="auditLoadBtn">Filter</button>
+      <button id="auditCsvBtn" class="btn-sm">Export CSV</button>
+    </div>
+    <div style="overflow:auto;margin-top:8px;">
+      <table id="auditTable">
+        <thead>
+          <tr><th>When</th><th>Admin</th><th>Action</th><th>Target</th><th>Change</th><th>IP</th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <div id="auditStatus" class="muted" style="margin-top:6px;"></div>
+  </div>
+  </div>
 </div>
 <script>
 (function(){
-  const url = new URL(location.href);
-  const secret = url.searchParams.get('secret') || '';
-
   const tableBody = document.querySelector('#keysTable tbody');
   const summaryEl = document.getElementById('summary');
   const billingSummaryEl = document.getElementById('billingSummary');
   const errorBox = document.getElementById('errorBox');
   const limitInput = document.getElementById('limitInput');
   const prefixInput = document.getElementById('prefixInput');
+  const durationInput = document.getElementById('durationInput');
+  const resetInput = document.getElementById('resetInput');
+  const planInput = document.getElementById('planInput');
   const noteInput = document.getElementById('noteInput');
   const createBtn = document.getElementById('createBtn');
   const createStatus = document.getElementById('createStatus');
+  const orgInput = document.getElementById('orgInput');
+  const orgsBody = document.querySelector('#orgsTable tbody');
+  const orgNameInput = document.getElementById('orgNameInput');
+  const orgLimitInput = document.getElementById('orgLimitInput');
+  const orgCreateBtn = document.getElementById('orgCreateBtn');
+  const orgReport = document.getElementById('orgReport');
+  const whUrlInput = document.getElementById('whUrlInput');
+  const whThresholdsInput = document.getElementById('whThresholdsInput');
+  const whSaveBtn = document.getElementById('whSaveBtn');
+  const whTestBtn = document.getElementById('whTestBtn');
+  const whStatus = document.getElementById('whStatus');
+  const whBody = document.querySelector('#whTable tbody');
+  const countInput = document.getElementById('countInput');
+  const bulkBtn = document.getElementById('bulkBtn');
+  const importFile = document.getElementById('importFile');
+  const importDry = document.getElementById('importDry');
+  const importBtn = document.getElementById('importBtn');
+  const importReport = document.getElementById('importReport');
 
   const btnExportJson = document.getElementById('btnExportJson');
   const btnExportCsv  = document.getElementById('btnExportCsv');
@@ -650,10 +4243,9 @@ app.get("/admin", (req, res) => {
   async function loadKeys(){
     errorBox.textContent = '';
     summaryEl.textContent = 'Loading…';
-    billingSummaryEl.textContent = '';
     tableBody.innerHTML = '';
     try{
-      const res = await fetch('/api/admin/keys?secret=' + encodeURIComponent(secret));
+      const res = await fetch('/api/admin/keys');
       if(!res.ok){
         const txt = await res.text();
         throw new Error('HTTP ' + res.status + ' ' + res.statusText + ' :: ' + txt);
@@ -667,48 +4259,268 @@ app.get("/admin", (req, res) => {
       const total = data.total || list.length || 0;
       summaryEl.textContent = 'Total keys: ' + total;
 
-      // простой биллинг: считаем общее число генераций и примерную стоимость
-      const totalUsed = list.reduce((sum, k) => sum + (k.used || 0), 0);
-      const COST_PER_GEN = 0.03; // можешь потом поменять
-      const approx = (totalUsed * COST_PER_GEN).toFixed(2);
-      billingSummaryEl.textContent =
-        'Total generations: ' + totalUsed +
-        ' | Approx. AI cost (at $' + COST_PER_GEN.toFixed(2) +
-        ' / gen): $' + approx;
-
     }catch(e){
       errorBox.textContent = String(e.message || e);
       summaryEl.textContent = '';
-      billingSummaryEl.textContent = '';
     }
   }
 
-  function detectPlanTag(k, limit){
-    const key = String(k || '');
-    if (key.startsWith('FREE') || key.startsWith('DEMO')) {
-      return '<span class="tag free">FREE</span>';
+  let orgNames = {};
+
+  async function loadOrgs(){
+    orgReport.textContent = '';
+    try{
+      const res = await fetch('/api/admin/orgs');
+      const data = await res.json().catch(()=> ({}));
+      if(!res.ok || !data.ok) throw new Error(data.error || ('HTTP ' + res.status));
+
+      const picked = orgInput.value;
+      orgInput.innerHTML = '<option value="">none (own balance)</option>';
+      orgsBody.innerHTML = '';
+      orgNames = {};
+
+      (data.orgs || []).forEach(o=>{
+        orgNames[o.id] = o.name;
+
+        const opt = document.createElement('option');
+        opt.value = o.id;
+        opt.textContent = o.name;
+        orgInput.appendChild(opt);
+
+        const tr = document.createElement('tr');
+        if (o.frozen) tr.className = 'frozen';
+        const cells = [
+          o.name,
+          o.limit === 0 ? '∞' : o.limit + (o.bonus ? ' (+' + o.bonus + ' top-up)' : ''),
+          o.used,
+          o.remaining == null ? '∞' : o.remaining,
+          o.members
+        ];
+        cells.forEach((v, i)=>{
+          const td = document.createElement('td');
+          td.textContent = v;
+          if (i === 0) {
+            const idEl = document.createElement('div');
+            idEl.className = 'muted';
+            idEl.textContent = o.id;
+            td.appendChild(idEl);
+          }
+          tr.appendChild(td);
+        });
+        const tdActions = document.createElement('td');
+        tdActions.innerHTML = [
+          '<button class="btn-sm" data-act="usage" data-org="' + o.id + '">Usage by member</button>',
+          '<button class="btn-sm" data-role="owner" data-act="topup" data-org="' + o.id + '">Top up</button>',
+          '<button class="btn-sm" data-role="owner" data-act="' + (o.frozen ? 'unfreeze' : 'freeze') + '" data-org="' + o.id + '">' +
+            (o.frozen ? 'Unfreeze' : 'Freeze') + '</button>'
+        ].join(' ');
+        tr.appendChild(tdActions);
+        orgsBody.appendChild(tr);
+      });
+      orgInput.value = orgNames[picked] ? picked : '';
+    }catch(e){
+      orgReport.textContent = 'Organizations: ' + String(e.message || e);
+    }
+  }
+
+  async function updateOrg(body){
+    const r = await fetch('/api/admin/orgs/update', {
+      method:'POST',
+      headers:{'content-type':'application/json'},
+      body: JSON.stringify(body)
+    });
+    const data = await r.json().catch(()=> ({}));
+    if(!r.ok || !data.ok){
+      throw new Error(data.error || ('HTTP ' + r.status));
+    }
+  }
+
+  orgCreateBtn.addEventListener('click', async ()=>{
+    orgReport.textContent = '';
+    try{
+      const r = await fetch('/api/admin/orgs', {
+        method:'POST',
+        headers:{'content-type':'application/json'},
+        body: JSON.stringify({
+          name: orgNameInput.value.trim(),
+          limit: Number(orgLimitInput.value || '0') || 0,
+          plan: planInput.value || undefined
+        })
+      });
+      const data = await r.json().catch(()=> ({}));
+      if(!r.ok || !data.ok){
+        throw new Error(data.error || ('HTTP ' + r.status));
+      }
+      orgNameInput.value = '';
+      await loadOrgs();
+    }catch(e){
+      orgReport.textContent = 'Create failed: ' + String(e.message || e);
+    }
+  });
+
+  orgsBody.addEventListener('click', async (e)=>{
+    const btn = e.target.closest('button[data-act]');
+    if (!btn) return;
+    const act = btn.dataset.act;
+    const id = btn.dataset.org;
+
+    try{
+      if (act === 'usage') {
+        const r = await fetch('/api/admin/orgs/' + encodeURIComponent(id) +
+          '/usage');
+        const data = await r.json().catch(()=> ({}));
+        if(!r.ok || !data.ok) throw new Error(data.error || ('HTTP ' + r.status));
+        orgReport.textContent = [
+          data.org.name + ': ' + data.total + ' calls, ' + data.credits + ' credits'
+        ].concat(data.members.map(m =>
+          (m.prefix || m.id) + (m.former_member ? ' (former member)' : '') + ': ' +
+          m.calls + ' calls, ' + m.credits + ' cr' +
+          (m.cap ? ' · cap ' + m.used + '/' + m.cap : '')
+        )).join('\\n');
+        return;
+      }
+      if (act === 'topup') {
+        const amount = prompt('Add credits to the pool:', '500');
+        if (amount === null) return;
+        await updateOrg({ id, topup: Number(amount) });
+      }
+      if (act === 'freeze' || act === 'unfreeze') {
+        if (act === 'freeze' && !confirm('Freeze organization? All member keys stop working.')) return;
+        await updateOrg({ id, frozen: act === 'freeze' });
+      }
+      await loadOrgs();
+    }catch(err){
+      orgReport.textContent = 'Failed: ' + String(err.message || err);
+    }
+  });
+
+  async function loadWebhooks(){
+    try{
+      const [cfg, log] = await Promise.all([
+        fetch('/api/admin/webhooks').then(r => r.json()),
+        fetch('/api/admin/webhooks/deliveries?limit=50').then(r => r.json())
+      ]);
+      if (!cfg.ok || !log.ok) throw new Error(cfg.error || log.error || 'load failed');
+
+      whUrlInput.value = cfg.url || '';
+      whThresholdsInput.value = (cfg.thresholds || []).join(',');
+      whStatus.textContent = (cfg.url ? 'Global webhook on' : 'Global webhook off') +
+        ' · pending retries: ' + cfg.pending;
+
+      whBody.innerHTML = '';
+      log.deliveries.forEach(d=>{
+        const tr = document.createElement('tr');
+        if (!d.ok) tr.className = d.gave_up ? 'expired' : 'expiring';
+        [
+          new Date(d.ts).toLocaleString(),
+          d.event,
+          d.key || '—',
+          d.url,
+          d.attempt,
+          d.ok
+            ? 'HTTP ' + d.status
+            : d.error + (d.gave_up ? ' — gave up' : ' — retry ' + new Date(d.next_retry_at).toLocaleTimeString())
+        ].forEach(v=>{
+          const td = document.createElement('td');
+          td.textContent = v;
+          tr.appendChild(td);
+        });
+        whBody.appendChild(tr);
+      });
+    }catch(e){
+      whStatus.textContent = 'Webhooks: ' + String(e.message || e);
     }
-    if (limit === 0) {
-      return '<span class="tag vip">UNLIM</span>';
+  }
+
+  whSaveBtn.addEventListener('click', async ()=>{
+    try{
+      const r = await fetch('/api/admin/webhooks', {
+        method:'POST',
+        headers:{'content-type':'application/json'},
+        body: JSON.stringify({
+          url: whUrlInput.value.trim(),
+          thresholds: whThresholdsInput.value.trim() || '80,100'
+        })
+      });
+      const data = await r.json().catch(()=> ({}));
+      if(!r.ok || !data.ok){
+        throw new Error(data.error || ('HTTP ' + r.status));
+      }
+      if (data.secret) prompt('Signing secret (shown only once):', data.secret);
+      await loadWebhooks();
+    }catch(e){
+      whStatus.textContent = 'Save failed: ' + String(e.message || e);
     }
-    return '<span class="tag pro">PRO</span>';
+  });
+
+  whTestBtn.addEventListener('click', async ()=>{
+    await fetch('/api/admin/webhooks/test', { method:'POST' });
+    setTimeout(loadWebhooks, 1500);
+  });
+
+  const PLAN_TAGS = {
+    free: '<span class="tag free">FREE</span>',
+    creator: '<span class="tag creator">CREATOR</span>',
+    pro: '<span class="tag pro">PRO</span>',
+    unlimited: '<span class="tag vip">UNLIM</span>'
+  };
+
+  function planTag(plan){
+    return PLAN_TAGS[plan] || '<span class="tag">' + (plan || '?') + '</span>';
   }
 
+  const WEEK_MS = 7 * 24 * 3600 * 1000;
+
   function renderKeys(list){
     tableBody.innerHTML = '';
     list.forEach(item=>{
       const tr = document.createElement('tr');
+      const expMs = item.expires_at ? Date.parse(item.expires_at) : NaN;
+      if (Number.isFinite(expMs)) {
+        if (expMs <= Date.now()) tr.className = 'expired';
+        else if (expMs - Date.now() <= WEEK_MS) tr.className = 'expiring';
+      }
 
       const tdKey = document.createElement('td');
-      tdKey.textContent = item.key;
+      tdKey.textContent = item.prefix || '';
+      const idEl = document.createElement('div');
+      idEl.className = 'muted';
+      idEl.textContent = item.id;
+      tdKey.appendChild(idEl);
+      if (item.org) {
+        const orgEl = document.createElement('div');
+        orgEl.className = 'muted';
+        orgEl.textContent = '↳ ' + (orgNames[item.org] || item.org);
+        tdKey.appendChild(orgEl);
+      }
       tr.appendChild(tdKey);
 
       const tdLimit = document.createElement('td');
-      tdLimit.textContent = item.limit === 0 ? '∞' : item.limit;
+      const limitEdit = document.createElement('input');
+      limitEdit.type = 'number';
+      limitEdit.min = '0';
+      limitEdit.className = 'inline';
+      limitEdit.dataset.field = 'limit';
+      limitEdit.value = item.max;
+      limitEdit.title = '0 = unlimited';
+      limitEdit.disabled = !isOwner();
+      tdLimit.appendChild(limitEdit);
+      if (item.bonus) {
+        const bonus = document.createElement('div');
+        bonus.className = 'muted';
+        bonus.textContent = '+' + item.bonus + ' top-up';
+        tdLimit.appendChild(bonus);
+      }
       tr.appendChild(tdLimit);
 
       const tdUsed = document.createElement('td');
       tdUsed.textContent = item.used;
+      if (item.reset_period) {
+        const per = document.createElement('span');
+        per.className = 'muted';
+        per.textContent = ' / ' + item.reset_period;
+        tdUsed.appendChild(per);
+      }
       tr.appendChild(tdUsed);
 
       const tdRem = document.createElement('td');
@@ -718,19 +4530,60 @@ app.get("/admin", (req, res) => {
       tr.appendChild(tdRem);
 
       const tdPlan = document.createElement('td');
-      tdPlan.innerHTML = detectPlanTag(item.key, item.limit);
+      tdPlan.innerHTML = planTag(item.plan) + (item.frozen ? ' <span class="tag">FROZEN</span>' : '');
+      const planEdit = document.createElement('select');
+      planEdit.className = 'inline';
+      planEdit.dataset.field = 'plan';
+      planEdit.style.display = 'block';
+      planEdit.style.marginTop = '4px';
+      Object.keys(PLAN_TAGS).forEach(p => {
+        const opt = document.createElement('option');
+        opt.value = p;
+        opt.textContent = p;
+        planEdit.appendChild(opt);
+      });
+      planEdit.value = item.plan || '';
+      planEdit.disabled = !isOwner();
+      tdPlan.appendChild(planEdit);
       tr.appendChild(tdPlan);
 
+      const tdExp = document.createElement('td');
+      tdExp.textContent = item.expires_at
+        ? new Date(item.expires_at).toLocaleDateString()
+        : '—';
+      if (item.expires_at) tdExp.title = item.expires_at;
+      tr.appendChild(tdExp);
+
+      const tdFlight = document.createElement('td');
+      tdFlight.textContent = (item.in_flight || 0) + ' · ' +
+        (item.requests_last_min || 0) + '/min';
+      tdFlight.title = 'in-flight generations · requests in the last minute';
+      tr.appendChild(tdFlight);
+
       const tdNote = document.createElement('td');
       tdNote.className = 'note';
-      tdNote.textContent = item.note || '';
+      const noteEdit = document.createElement('input');
+      noteEdit.className = 'inline note';
+      noteEdit.dataset.field = 'note';
+      noteEdit.value = item.note || '';
+      noteEdit.disabled = !me || me.role === 'viewer';
+      tdNote.appendChild(noteEdit);
       tr.appendChild(tdNote);
 
-      // Actions: Reset + Delete
+      if (item.frozen) tr.className = 'frozen';
+
+      // Actions: Save + Top up + Freeze + Usage + Reset + Rotate + Delete
       const tdActions = document.createElement('td');
       tdActions.innerHTML = [
-        '<button class="btn-sm" data-act="reset" data-key="' + item.key + '">Reset</button>',
-        '<button class="btn-sm danger" data-act="del" data-key="' + item.key + '">Delete</button>'
+        '<button class="btn-sm" data-role="support" data-act="save" data-key="' + item.id + '">Save</button>',
+        '<button class="btn-sm" data-role="owner" data-act="topup" data-key="' + item.id + '">Top up</button>',
+        '<button class="btn-sm" data-role="owner" data-act="webhook" data-key="' + item.id + '" data-url="' + (item.webhook_url || '').replace(/"/g, '&quot;') + '">Webhook</button>',
+        '<button class="btn-sm" data-role="support" data-act="' + (item.frozen ? 'unfreeze' : 'freeze') + '" data-key="' + item.id + '">' +
+          (item.frozen ? 'Unfreeze' : 'Freeze') + '</button>',
+        '<button class="btn-sm" data-act="usage" data-key="' + item.id + '">Usage CSV</button>',
+        '<button class="btn-sm" data-role="support" data-act="reset" data-key="' + item.id + '">Reset</button>',
+        '<button class="btn-sm" data-role="owner" data-act="rotate" data-key="' + item.id + '">Rotate</button>',
+        '<button class="btn-sm danger" data-role="owner" data-act="del" data-key="' + item.id + '">Delete</button>'
       ].join(' ');
       tr.appendChild(tdActions);
 
@@ -738,35 +4591,146 @@ app.get("/admin", (req, res) => {
     });
   }
 
-  createBtn.addEventListener('click', async ()=>{
-    createStatus.textContent = '';
-    errorBox.textContent = '';
-    createBtn.disabled = true;
+  createBtn.addEventListener('click', async ()=>{
+    createStatus.textContent = '';
+    errorBox.textContent = '';
+    createBtn.disabled = true;
+
+    try{
+      const limit = Number(limitInput.value || '0') || 0;
+      const prefix = prefixInput.value.trim();
+      const note = noteInput.value.trim();
+      const duration = durationInput.value.trim();
+      const reset_period = resetInput.value;
+      const plan = planInput.value;
+
+      const res = await fetch('/api/admin/new-key', {
+        method:'POST',
+        headers:{'content-type':'application/json'},
+        body: JSON.stringify({
+          limit, prefix, note,
+          plan: plan || undefined,
+          org: orgInput.value || undefined,
+          duration: duration || undefined,
+          reset_period: reset_period || undefined
+        })
+      });
+      const data = await res.json().catch(()=> ({}));
+      if(!res.ok || !data.ok){
+        throw new Error(data.error || ('HTTP ' + res.status));
+      }
+      createStatus.textContent = 'Created: ' + data.key + ' — copy it now, it is shown only once';
+      await loadKeys();
+    }catch(e){
+      errorBox.textContent = String(e.message || e);
+    }finally{
+      createBtn.disabled = false;
+    }
+  });
+
+  async function updateKey(body){
+    const r = await fetch('/api/admin/keys/update', {
+      method:'POST',
+      headers:{'content-type':'application/json'},
+      body: JSON.stringify(body)
+    });
+    const data = await r.json().catch(()=> ({}));
+    if(!r.ok || !data.ok){
+      throw new Error(data.error || ('HTTP ' + r.status));
+    }
+    return data.key;
+  }
+
+  // пачка ключей — сразу скачиваем CSV (полные ключи больше нигде не увидим)
+  bulkBtn.addEventListener('click', async ()=>{
+    createStatus.textContent = '';
+    errorBox.textContent = '';
+    bulkBtn.disabled = true;
+
+    try{
+      const count = Number(countInput.value || '0') || 0;
+      const res = await fetch('/api/admin/keys/bulk', {
+        method:'POST',
+        headers:{'content-type':'application/json'},
+        body: JSON.stringify({
+          count,
+          limit: Number(limitInput.value || '0') || 0,
+          prefix: prefixInput.value.trim(),
+          note: noteInput.value.trim(),
+          plan: planInput.value || undefined,
+          org: orgInput.value || undefined,
+          duration: durationInput.value.trim() || undefined,
+          reset_period: resetInput.value || undefined
+        })
+      });
+      if(!res.ok){
+        const data = await res.json().catch(()=> ({}));
+        throw new Error(data.error || ('HTTP ' + res.status));
+      }
+      const blob = await res.blob();
+      const name = (res.headers.get('content-disposition') || '').match(/filename="([^"]+)"/);
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = name ? name[1] : 'hiai_keys.csv';
+      a.click();
+      URL.revokeObjectURL(a.href);
+      createStatus.textContent = 'Created ' + count + ' keys — CSV downloaded, keep it safe';
+      await loadKeys();
+    }catch(e){
+      errorBox.textContent = String(e.message || e);
+    }finally{
+      bulkBtn.disabled = false;
+    }
+  });
+
+  importBtn.addEventListener('click', async ()=>{
+    importReport.textContent = '';
+    const file = importFile.files[0];
+    if (!file) {
+      importReport.textContent = 'Choose a .csv or .json file first.';
+      return;
+    }
+    importBtn.disabled = true;
 
     try{
-      const limit = Number(limitInput.value || '0') || 0;
-      const prefix = prefixInput.value.trim();
-      const note = noteInput.value.trim();
+      const text = await file.text();
+      let payload = { csv: text };
+      if (/\\.json$/i.test(file.name)) {
+        const parsed = JSON.parse(text);
+        payload = { rows: Array.isArray(parsed) ? parsed : (parsed.keys || parsed.rows || []) };
+      }
+      payload.dry_run = importDry.checked;
 
-      const res = await fetch('/api/admin/new-key?secret=' + encodeURIComponent(secret), {
+      const res = await fetch('/api/admin/keys/import', {
         method:'POST',
         headers:{'content-type':'application/json'},
-        body: JSON.stringify({ limit, prefix, note })
+        body: JSON.stringify(payload)
       });
       const data = await res.json().catch(()=> ({}));
       if(!res.ok || !data.ok){
         throw new Error(data.error || ('HTTP ' + res.status));
       }
-      createStatus.textContent = 'Created: ' + data.key;
-      await loadKeys();
+
+      const lines = [
+        (data.dry_run ? 'Dry run: ' : '') +
+          data.total + ' rows, ' + data.valid + ' valid, ' +
+          data.imported + ' imported, ' +
+          data.duplicates.length + ' duplicates, ' + data.errors.length + ' errors'
+      ];
+      data.duplicates.forEach(d => lines.push(
+        'row ' + d.row + ': duplicate ' + (d.key_prefix || '') + (d.duplicate_of ? ' (' + d.duplicate_of + ')' : '')
+      ));
+      data.errors.forEach(e => lines.push('row ' + e.row + ': ' + e.error));
+      importReport.textContent = lines.join('\\n');
+      if (data.imported) await loadKeys();
     }catch(e){
-      errorBox.textContent = String(e.message || e);
+      importReport.textContent = 'Import failed: ' + String(e.message || e);
     }finally{
-      createBtn.disabled = false;
+      importBtn.disabled = false;
     }
   });
 
-  // клики по кнопкам Reset / Delete
+  // клики по кнопкам в строке ключа
   tableBody.addEventListener('click', async (e)=>{
     const btn = e.target.closest('button[data-act]');
     if (!btn) return;
@@ -774,10 +4738,79 @@ app.get("/admin", (req, res) => {
     const key = btn.dataset.key;
     if (!key) return;
 
+    if (act === 'save') {
+      const tr = btn.closest('tr');
+      const field = (name) => tr.querySelector('[data-field="' + name + '"]').value;
+      // support может менять только заметку
+      const body = { key, note: field('note').trim() };
+      if (isOwner()) {
+        body.limit = Number(field('limit') || '0') || 0;
+        body.plan = field('plan');
+      }
+      try{
+        await updateKey(body);
+        await loadKeys();
+      }catch(err){
+        alert('Save failed: ' + String(err.message || err));
+      }
+      return;
+    }
+
+    if (act === 'topup') {
+      const amount = prompt('Add credits to ' + key + ' (kept across quota resets):', '100');
+      if (amount === null) return;
+      try{
+        await updateKey({ key, topup: Number(amount) });
+        await loadKeys();
+      }catch(err){
+        alert('Top-up failed: ' + String(err.message || err));
+      }
+      return;
+    }
+
+    if (act === 'webhook') {
+      const url = prompt('Webhook URL for ' + key + ' (empty = none):', btn.dataset.url || '');
+      if (url === null) return;
+      try{
+        const r = await fetch('/api/admin/keys/update', {
+          method:'POST',
+          headers:{'content-type':'application/json'},
+          body: JSON.stringify({ key, webhook_url: url.trim() })
+        });
+        const data = await r.json().catch(()=> ({}));
+        if(!r.ok || !data.ok){
+          throw new Error(data.error || ('HTTP ' + r.status));
+        }
+        if (data.webhook_secret) prompt('Signing secret for this key (shown only once):', data.webhook_secret);
+        await loadKeys();
+      }catch(err){
+        alert('Webhook update failed: ' + String(err.message || err));
+      }
+      return;
+    }
+
+    if (act === 'freeze' || act === 'unfreeze') {
+      if (act === 'freeze' && !confirm('Freeze key "' + key + '"? Paid calls will be refused until unfrozen.')) return;
+      try{
+        await updateKey({ key, frozen: act === 'freeze' });
+        await loadKeys();
+      }catch(err){
+        alert('Update failed: ' + String(err.message || err));
+      }
+      return;
+    }
+
+    if (act === 'usage') {
+      const link = '/api/admin/keys/' + encodeURIComponent(key) +
+        '/usage.csv';
+      window.open(link, '_blank');
+      return;
+    }
+
     if (act === 'reset') {
       if (!confirm('Reset usage counter for key "' + key + '"?')) return;
       try{
-        const r = await fetch('/api/admin/keys/reset?secret=' + encodeURIComponent(secret), {
+        const r = await fetch('/api/admin/keys/reset', {
           method:'POST',
           headers:{'content-type':'application/json'},
           body: JSON.stringify({ key })
@@ -792,10 +4825,30 @@ app.get("/admin", (req, res) => {
       }
     }
 
+    if (act === 'rotate') {
+      const grace = prompt('Issue a new secret for ' + key + '.\\nOld secret keeps working for (e.g. 24h, 0 = stop now):', '24h');
+      if (grace === null) return;
+      try{
+        const r = await fetch('/api/admin/keys/rotate', {
+          method:'POST',
+          headers:{'content-type':'application/json'},
+          body: JSON.stringify({ key, grace: grace.trim() || '0' })
+        });
+        const data = await r.json().catch(()=> ({}));
+        if(!r.ok || !data.ok){
+          throw new Error(data.error || ('HTTP ' + r.status));
+        }
+        prompt('New secret (shown only once):', data.key);
+        await loadKeys();
+      }catch(err){
+        alert('Rotate failed: ' + String(err.message || err));
+      }
+    }
+
     if (act === 'del') {
       if (!confirm('Delete key "' + key + '" permanently?')) return;
       try{
-        const r = await fetch('/api/admin/keys/delete?secret=' + encodeURIComponent(secret), {
+        const r = await fetch('/api/admin/keys/delete', {
           method:'POST',
           headers:{'content-type':'application/json'},
           body: JSON.stringify({ key })
@@ -813,20 +4866,354 @@ app.get("/admin", (req, res) => {
 
   // экспорт JSON / CSV
   btnExportJson.addEventListener('click', ()=>{
-    const link = '/api/admin/keys/export.json?secret=' + encodeURIComponent(secret);
+    const link = '/api/admin/keys/export.json';
     window.open(link, '_blank');
   });
 
   btnExportCsv.addEventListener('click', ()=>{
-    const link = '/api/admin/keys/export.csv?secret=' + encodeURIComponent(secret);
+    const link = '/api/admin/keys/export.csv';
     window.open(link, '_blank');
   });
 
-  if (!secret) {
-    errorBox.textContent = 'Add ?secret=YOUR_ADMIN_SECRET to URL.';
-  } else {
-    loadKeys();
+  // ---------- админы и API-токены ----------
+  const adminsBody = document.querySelector('#adminsTable tbody');
+  const tokensBody = document.querySelector('#tokensTable tbody');
+  const adminsStatus = document.getElementById('adminsStatus');
+
+  async function postJson(path, body){
+    const r = await fetch(path, {
+      method:'POST',
+      headers:{'content-type':'application/json'},
+      body: JSON.stringify(body || {})
+    });
+    const data = await r.json().catch(()=> ({}));
+    if(!r.ok || !data.ok){
+      throw new Error(data.error || ('HTTP ' + r.status));
+    }
+    return data;
+  }
+
+  function cell(tr, text){
+    const td = document.createElement('td');
+    td.textContent = text == null ? '' : String(text);
+    tr.appendChild(td);
+    return td;
+  }
+
+  async function loadAdmins(){
+    adminsStatus.textContent = '';
+    try{
+      if (isOwner()) {
+        const res = await fetch('/api/admin/admins');
+        const data = await res.json().catch(()=> ({}));
+        if(!res.ok || !data.ok) throw new Error(data.error || ('HTTP ' + res.status));
+        adminsBody.innerHTML = '';
+        (data.admins || []).forEach(a => {
+          const tr = document.createElement('tr');
+          cell(tr, a.username);
+          const tdRole = document.createElement('td');
+          const sel = document.createElement('select');
+          sel.className = 'inline';
+          ['viewer', 'support', 'owner'].forEach(r => {
+            const opt = document.createElement('option');
+            opt.value = r;
+            opt.textContent = r;
+            sel.appendChild(opt);
+          });
+          sel.value = a.role;
+          sel.dataset.user = a.username;
+          tdRole.appendChild(sel);
+          tr.appendChild(tdRole);
+          cell(tr, a.disabled ? 'disabled' : 'active');
+          const tdActions = document.createElement('td');
+          tdActions.innerHTML = [
+            '<button class="btn-sm" data-act="role">Set role</button>',
+            '<button class="btn-sm" data-act="password">Password</button>',
+            '<button class="btn-sm" data-act="' + (a.disabled ? 'enable' : 'disable') + '">' +
+              (a.disabled ? 'Enable' : 'Disable') + '</button>',
+            '<button class="btn-sm danger" data-act="del">Delete</button>'
+          ].join(' ');
+          tdActions.querySelectorAll('button').forEach(b => { b.dataset.user = a.username; });
+          tr.appendChild(tdActions);
+          adminsBody.appendChild(tr);
+        });
+      }
+
+      const res = await fetch('/api/admin/tokens' + (isOwner() ? '?all=1' : ''));
+      const data = await res.json().catch(()=> ({}));
+      if(!res.ok || !data.ok) throw new Error(data.error || ('HTTP ' + res.status));
+      tokensBody.innerHTML = '';
+      (data.tokens || []).forEach(t => {
+        const tr = document.createElement('tr');
+        cell(tr, t.name || '—');
+        cell(tr, t.admin);
+        cell(tr, t.created_at ? new Date(t.created_at).toLocaleString() : '');
+        cell(tr, t.expires_at ? new Date(t.expires_at).toLocaleDateString() : 'never');
+        const td = document.createElement('td');
+        td.innerHTML = '<button class="btn-sm danger" data-act="revoke">Revoke</button>';
+        td.firstChild.dataset.token = t.token_id;
+        tr.appendChild(td);
+        tokensBody.appendChild(tr);
+      });
+    }catch(e){
+      adminsStatus.textContent = 'Error: ' + String(e.message || e);
+    }
+  }
+
+  document.getElementById('adminCreateBtn').addEventListener('click', async ()=>{
+    const username = document.getElementById('adminUserInput');
+    const password = document.getElementById('adminPassInput');
+    try{
+      await postJson('/api/admin/admins', {
+        username: username.value.trim(),
+        password: password.value,
+        role: document.getElementById('adminRoleInput').value
+      });
+      username.value = '';
+      password.value = '';
+      await loadAdmins();
+    }catch(err){
+      adminsStatus.textContent = 'Error: ' + String(err.message || err);
+    }
+  });
+
+  adminsBody.addEventListener('click', async (e)=>{
+    const btn = e.target.closest('button[data-act]');
+    if (!btn) return;
+    const act = btn.dataset.act;
+    const username = btn.dataset.user;
+    try{
+      if (act === 'role') {
+        const sel = btn.closest('tr').querySelector('select');
+        await postJson('/api/admin/admins/update', { username, role: sel.value });
+      } else if (act === 'password') {
+        const password = prompt('New password for ' + username + ':', '');
+        if (!password) return;
+        await postJson('/api/admin/admins/update', { username, password });
+      } else if (act === 'disable' || act === 'enable') {
+        await postJson('/api/admin/admins/update', { username, disabled: act === 'disable' });
+      } else if (act === 'del') {
+        if (!confirm('Delete admin ' + username + '?')) return;
+        await postJson('/api/admin/admins/delete', { username });
+      }
+      await loadAdmins();
+    }catch(err){
+      alert('Admin update failed: ' + String(err.message || err));
+    }
+  });
+
+  document.getElementById('tokenCreateBtn').addEventListener('click', async ()=>{
+    const name = document.getElementById('tokenNameInput');
+    const ttl = document.getElementById('tokenTtlInput');
+    try{
+      const data = await postJson('/api/admin/tokens', {
+        name: name.value.trim(),
+        ttl: ttl.value.trim() || undefined
+      });
+      prompt('API token (shown only once):', data.token);
+      name.value = '';
+      ttl.value = '';
+      await loadAdmins();
+    }catch(err){
+      adminsStatus.textContent = 'Error: ' + String(err.message || err);
+    }
+  });
+
+  tokensBody.addEventListener('click', async (e)=>{
+    const btn = e.target.closest('button[data-act="revoke"]');
+    if (!btn) return;
+    if (!confirm('Revoke this token?')) return;
+    try{
+      await postJson('/api/admin/tokens/revoke', { token_id: btn.dataset.token });
+      await loadAdmins();
+    }catch(err){
+      alert('Revoke failed: ' + String(err.message || err));
+    }
+  });
+
+  // ---------- аналитика (из /api/admin/analytics) ----------
+  const anTotals = document.getElementById('anTotals');
+  const pct = (r) => r == null ? '—' : (r * 100).toFixed(1) + '%';
+  const usd = (n) => '$' + Number(n || 0).toFixed(2);
+  const ms = (v) => v == null ? '—' : (v / 1000).toFixed(1) + 's';
+
+  function fillTable(id, rows, cols){
+    const body = document.querySelector('#' + id + ' tbody');
+    body.innerHTML = '';
+    rows.forEach(r => {
+      const tr = document.createElement('tr');
+      cols.forEach(c => cell(tr, c(r)));
+      body.appendChild(tr);
+    });
+  }
+
+  async function loadAnalytics(){
+    anTotals.textContent = 'Loading…';
+    try{
+      const params = new URLSearchParams();
+      const from = document.getElementById('anFrom').value;
+      const to = document.getElementById('anTo').value;
+      if (from) params.set('from', from);
+      // "по" — включительно
+      if (to) params.set('to', new Date(Date.parse(to) + 24 * 3600e3).toISOString().slice(0, 10));
+      const res = await fetch('/api/admin/analytics?' + params.toString());
+      const data = await res.json().catch(()=> ({}));
+      if(!res.ok || !data.ok) throw new Error(data.error || ('HTTP ' + res.status));
+
+      const t = data.totals;
+      const line = 'Generations: ' + t.generations +
+        ' | success ' + pct(t.success_rate) +
+        ' | credits charged: ' + t.credits +
+        ' | provider cost: ' + usd(t.provider_cost) +
+        ' (' + Math.round(t.predict_seconds) + 's of model run time)';
+      anTotals.textContent = 'Since ' + new Date(data.from).toLocaleDateString() + ' — ' + line;
+      billingSummaryEl.textContent = line;
+
+      fillTable('anRoutes', data.routes, [
+        r => r.route, r => r.generations, r => pct(r.success_rate),
+        r => ms(r.latency_p50_ms) + ' / ' + ms(r.latency_p95_ms),
+        r => r.credits, r => usd(r.provider_cost)
+      ]);
+      fillTable('anModels', data.models, [
+        r => r.model, r => r.generations, r => pct(r.success_rate),
+        r => ms(r.latency_p50_ms) + ' / ' + ms(r.latency_p95_ms),
+        r => r.predict_seconds, r => usd(r.provider_cost)
+      ]);
+      fillTable('anKeys', data.top_keys, [
+        r => (r.key_prefix || '') + ' ' + r.key, r => r.generations,
+        r => pct(r.success_rate), r => r.credits, r => usd(r.provider_cost)
+      ]);
+      fillTable('anDays', data.days.slice().reverse(), [
+        r => r.day, r => r.route, r => r.generations, r => r.failed,
+        r => r.credits, r => usd(r.provider_cost)
+      ]);
+    }catch(err){
+      anTotals.textContent = 'Error: ' + String(err.message || err);
+      billingSummaryEl.textContent = '';
+    }
+  }
+
+  document.getElementById('anLoadBtn').addEventListener('click', loadAnalytics);
+
+  // ---------- журнал действий ----------
+  const auditBody = document.querySelector('#auditTable tbody');
+  const auditStatus = document.getElementById('auditStatus');
+
+  function auditQuery(){
+    const params = new URLSearchParams();
+    [['actor', 'auditActor'], ['action', 'auditAction'], ['target', 'auditTarget'],
+     ['from', 'auditFrom'], ['to', 'auditTo']].forEach(([name, id]) => {
+      let v = document.getElementById(id).value.trim();
+      // "по" — включительно, до конца дня
+      if (v && name === 'to') v = new Date(Date.parse(v) + 24 * 3600e3).toISOString().slice(0, 10);
+      if (v) params.set(name, v);
+    });
+    return params.toString();
+  }
+
+  function auditChange(e){
+    const parts = [];
+    const before = e.before || {};
+    const after = e.after || {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(f => {
+      const fmt = (v) => v === undefined || v === null ? '—' : JSON.stringify(v);
+      if (!e.before) parts.push(f + ': ' + fmt(after[f]));
+      else if (!e.after) parts.push(f + ': ' + fmt(before[f]));
+      else parts.push(f + ': ' + fmt(before[f]) + ' → ' + fmt(after[f]));
+    });
+    if (e.topup) parts.push('topup: +' + e.topup);
+    if (e.format) parts.push(e.format + ', ' + e.count + ' rows');
+    return parts.join('; ');
+  }
+
+  async function loadAudit(){
+    auditStatus.textContent = '';
+    if (!isOwner()) return;
+    try{
+      const q = auditQuery();
+      const res = await fetch('/api/admin/audit?limit=200' + (q ? '&' + q : ''));
+      const data = await res.json().catch(()=> ({}));
+      if(!res.ok || !data.ok) throw new Error(data.error || ('HTTP ' + res.status));
+      auditBody.innerHTML = '';
+      (data.entries || []).forEach(e => {
+        const tr = document.createElement('tr');
+        cell(tr, new Date(e.ts).toLocaleString());
+        cell(tr, (e.actor || '—') + (e.via === 'api' ? ' (token)' : ''));
+        cell(tr, e.action);
+        cell(tr, e.target || '');
+        cell(tr, auditChange(e)).className = 'note';
+        cell(tr, e.ip || '');
+        auditBody.appendChild(tr);
+      });
+      auditStatus.textContent = 'Showing ' + (data.entries || []).length + ' of ' + data.total + ' entries';
+    }catch(err){
+      auditStatus.textContent = 'Error: ' + String(err.message || err);
+    }
+  }
+
+  document.getElementById('auditLoadBtn').addEventListener('click', loadAudit);
+  document.getElementById('auditCsvBtn').addEventListener('click', ()=>{
+    const q = auditQuery();
+    window.open('/api/admin/audit.csv' + (q ? '?' + q : ''), '_blank');
+  });
+
+  // ---------- вход / выход ----------
+  let me = null;
+  function isOwner(){ return !!me && me.role === 'owner'; }
+
+  const loginCard = document.getElementById('loginCard');
+  const loginForm = document.getElementById('loginForm');
+  const loginError = document.getElementById('loginError');
+  const panel = document.getElementById('panel');
+  const whoami = document.getElementById('whoami');
+
+  function showLogin(){
+    me = null;
+    document.body.className = '';
+    panel.style.display = 'none';
+    whoami.textContent = '';
+    loginCard.style.display = '';
+  }
+
+  function showPanel(admin){
+    me = admin;
+    document.body.className = 'role-' + admin.role;
+    loginCard.style.display = 'none';
+    panel.style.display = '';
+    whoami.innerHTML = 'Signed in as <b></b> (' + admin.role + ') · <a href="#" id="logoutLink">Log out</a>';
+    whoami.querySelector('b').textContent = admin.username;
+    document.getElementById('logoutLink').addEventListener('click', async (e)=>{
+      e.preventDefault();
+      await fetch('/api/admin/logout', { method:'POST' }).catch(()=>{});
+      showLogin();
+    });
+    loadOrgs().then(loadKeys);
+    loadWebhooks();
+    loadAdmins();
+    loadAudit();
+    loadAnalytics();
   }
+
+  loginForm.addEventListener('submit', async (e)=>{
+    e.preventDefault();
+    loginError.textContent = '';
+    try{
+      await postJson('/api/admin/login', {
+        username: document.getElementById('loginUser').value.trim(),
+        password: document.getElementById('loginPass').value
+      });
+      document.getElementById('loginPass').value = '';
+      const res = await fetch('/api/admin/me');
+      showPanel(await res.json());
+    }catch(err){
+      loginError.textContent = String(err.message || err);
+    }
+  });
+
+  fetch('/api/admin/me')
+    .then(r => r.ok ? r.json() : null)
+    .then(data => data && data.ok ? showPanel(data) : showLogin())
+    .catch(showLogin);
 })();
 </script>
 </body>
@@ -846,7 +5233,12 @@ app.get("/api/ping", (_req, res) => {
 app.get("/api/health", (_req, res) => {
   res.set("access-control-allow-origin", "*");
   res.set("cache-control", "no-store");
-  res.json({ ok: true, status: "up", ts: Date.now() });
+  res.json({
+    ok: true,
+    status: "up",
+    ts: Date.now(),
+    ffmpeg: ffmpegQueueStats(), // очередь кодирований
+  });
 });
 
 app.get("/health", (_req, res) => res.json({ ok: true, ts: Date.now() }));
@@ -860,85 +5252,487 @@ app.get("/env-check", (_req, res) => {
     REPLICATE_MODEL_VERSION_VIDEO: !!process.env.REPLICATE_MODEL_VERSION_VIDEO,
     REPLICATE_MODEL_VERSION_I2V: !!process.env.REPLICATE_MODEL_VERSION_I2V,
     PUBLIC_ORIGIN: process.env.PUBLIC_ORIGIN || null,
+    REPLICATE_API_BASE,
+    REPLICATE_WEBHOOKS: replicateWebhooks.enabled
+      ? replicateWebhooks.url
+      : `off (${replicateWebhooks.reason})`,
     PAYWALL_ENABLED: !!process.env.PAYWALL_ENABLED,
   });
 });
 
 // экспорт и операции с ключами — ТОЛЬКО для админ-панели
-app.post("/api/admin/keys/reset", (req, res) => {
-  if (!ensureAdmin(req, res)) return;
+
+// Сбросить счётчик used для ключа
+app.post("/api/admin/keys/reset", requireAdmin("support"), (req, res) => {
   const body = readBody(req.body);
-  const key = String(body.key || "").trim();
+  const id = resolveKeyRef(body.key || body.id);
+
+  const usedBefore = store.transact((tx) => {
+    const rec = id ? tx.get("keys", id) : null;
+    if (!rec) return null;
+    const before = rec.used || 0;
+    rec.used = 0;
+    tx.put("keys", id, rec);
+    return before;
+  });
 
-  if (!key || !KEYS[key]) {
+  if (usedBefore === null) {
     return res.status(404).json({ ok: false, error: "Key not found" });
   }
 
-  KEYS[key].used = 0;
-  saveKeys();
+  checkUsageThresholds(id); // пороги взводятся заново
+  emitWebhook("key.reset", id, { reason: "admin", used_before: usedBefore });
+  audit(req, "key.reset", {
+    target: id,
+    before: { used: usedBefore },
+    after: { used: 0 },
+  });
 
-  const rec = getKeyRecord(key);
-  return res.json({ ok: true, key: rec.key, limit: rec.limit, used: rec.used });
+  const rec = loadKeyRecord(id);
+  return res.json({
+    ok: true,
+    id,
+    prefix: rec.prefix,
+    limit: rec.limit,
+    used: rec.used,
+  });
 });
 
-app.post("/api/admin/keys/delete", (req, res) => {
-  if (!ensureAdmin(req, res)) return;
+app.post("/api/admin/keys/delete", requireAdmin("owner"), (req, res) => {
   const body = readBody(req.body);
-  const key = String(body.key || "").trim();
+  const id = resolveKeyRef(body.key || body.id);
+
+  const deleted = store.transact((tx) => {
+    const rec = id ? tx.get("keys", id) : null;
+    if (!rec) return null;
+    tx.remove("key_lookup", rec.lookup);
+    if (rec.prev_secret) tx.remove("key_lookup", rec.prev_secret.lookup);
+    tx.remove("keys", id);
+    return rec;
+  });
 
-  if (!key || !KEYS[key]) {
+  if (!deleted) {
     return res.status(404).json({ ok: false, error: "Key not found" });
   }
+  audit(req, "key.delete", { target: id, before: auditKeySnapshot(deleted) });
 
-  delete KEYS[key];
-  saveKeys();
+  return res.json({ ok: true, deleted: id });
+});
+
+// История возвратов кредитов — чтобы поддержка могла объяснить баланс
+// GET /api/admin/refunds?key=...&limit=200
+app.get("/api/admin/refunds", requireAdmin(), (req, res) => {
+  const id = req.query.key ? resolveKeyRef(req.query.key) : null;
+  if (req.query.key && !id)
+    return res.status(404).json({ ok: false, error: "Key not found" });
+  const limit = Math.max(1, Math.min(5000, Number(req.query.limit || 200)));
+
+  let list = readJsonl(REFUNDS_LOG);
+  if (id) list = list.filter((r) => r.key === id);
+  list = list.slice(-limit).reverse();
 
-  return res.json({ ok: true, deleted: key });
+  res.json({
+    ok: true,
+    total: list.length,
+    refunded: list.reduce((sum, r) => sum + (r.refunded || 0), 0),
+    refunds: list,
+  });
 });
 
-app.get("/api/admin/keys/export.json", (req, res) => {
-  if (!ensureAdmin(req, res)) return;
-  const all = Object.entries(KEYS).map(([key, raw]) => {
-    const rec = getKeyRecord(key);
+app.get("/api/admin/keys/export.json", requireAdmin("owner"), (req, res) => {
+  const all = store.list("keys").map(([id, raw]) => {
+    const rec = loadKeyRecord(id);
     const remaining =
       rec.limit > 0 ? Math.max(0, rec.limit - rec.used) : null;
     return {
-      key,
+      id,
+      prefix: raw.prefix || null,
+      unit: "credits",
       limit: rec.limit,
+      bonus: raw.bonus || 0,
       used: rec.used,
       remaining,
       plan: raw.plan || null,
+      org: raw.org || null,
+      frozen: !!raw.frozen,
+      valid_from: rec.valid_from,
+      expires_at: rec.expires_at,
       note: raw.note || "",
     };
   });
   res.setHeader("Content-Type", "application/json; charset=utf-8");
+  audit(req, "keys.export", { format: "json", count: all.length });
   res.setHeader("Content-Disposition", 'attachment; filename="hiai_keys.json"');
   res.json(all);
 });
 
-app.get("/api/admin/keys/export.csv", (req, res) => {
-  if (!ensureAdmin(req, res)) return;
-  const rows = [["Key", "Limit", "Used", "Remaining", "Plan", "Note"]];
-  for (const [key, raw] of Object.entries(KEYS)) {
-    const rec = getKeyRecord(key);
+app.get("/api/admin/keys/export.csv", requireAdmin("owner"), (req, res) => {
+  const rows = [
+    [
+      "ID",
+      "Key prefix",
+      "Limit (credits)",
+      "Bonus (credits)",
+      "Used (credits)",
+      "Remaining (credits)",
+      "Plan",
+      "Org",
+      "Frozen",
+      "Valid from",
+      "Expires at",
+      "Note",
+    ],
+  ];
+  for (const [id, raw] of store.list("keys")) {
+    const rec = loadKeyRecord(id);
     const remaining =
       rec.limit > 0 ? Math.max(0, rec.limit - rec.used) : "";
     rows.push([
-      key,
+      id,
+      raw.prefix || "",
       rec.limit === 0 ? "∞" : String(rec.limit),
+      String(raw.bonus || 0),
       String(rec.used),
       remaining === "" ? "" : String(remaining),
       raw.plan || "",
-      (raw.note || "").replace(/"/g, '""'),
+      raw.org || "",
+      raw.frozen ? "yes" : "",
+      rec.valid_from || "",
+      rec.expires_at || "",
+      raw.note || "",
     ]);
   }
-  const csv = rows
-    .map(r => r.map(c => '"' + String(c ?? "").replace(/"/g, '""') + '"').join(","))
-    .join("\\n");
-
   res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  audit(req, "keys.export", { format: "csv", count: rows.length - 1 });
   res.setHeader("Content-Disposition", 'attachment; filename="hiai_keys.csv"');
-  res.send(csv);
+  res.send(toCsv(rows));
+});
+
+// Журнал платных вызовов (по ключу / организации): ?from=2025-01-01&to=2025-02-01
+function usageFor(req, match) {
+  const from = req.query.from ? Date.parse(req.query.from) : -Infinity;
+  const to = req.query.to ? Date.parse(req.query.to) : Infinity;
+  if (Number.isNaN(from) || Number.isNaN(to)) return null;
+
+  return readJsonl(USAGE_LOG).filter((e) => {
+    if (!match(e)) return false;
+    const t = Date.parse(e.ts);
+    return t >= from && t < to;
+  });
+}
+
+const USAGE_COLUMNS = [
+  "ts",
+  "key",
+  "key_prefix",
+  "org",
+  "route",
+  "mode",
+  "model",
+  "outcome",
+  "status",
+  "latency_ms",
+  "predict_seconds",
+  "provider_cost",
+  "credits",
+  "held",
+  "prompt",
+  "error",
+];
+
+function sendUsage(req, res, format) {
+  const id = resolveKeyRef(req.params.key);
+  if (!id) return res.status(404).json({ ok: false, error: "Key not found" });
+
+  const list = usageFor(req, (e) => e.key === id);
+  if (!list)
+    return res.status(400).json({ ok: false, error: "Bad from/to date" });
+
+  if (format === "csv") {
+    const rows = [
+      USAGE_COLUMNS,
+      ...list.map((e) => USAGE_COLUMNS.map((c) => e[c])),
+    ];
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="hiai_usage_${id}.csv"`
+    );
+    audit(req, "key.usage_export", { target: id, count: list.length });
+    return res.send(toCsv(rows));
+  }
+
+  res.json({
+    ok: true,
+    id,
+    total: list.length,
+    credits: list.reduce((sum, e) => sum + (e.credits || 0), 0),
+    usage: list,
+  });
+}
+
+app.get("/api/admin/keys/:key/usage", requireAdmin(), (req, res) =>
+  sendUsage(req, res, String(req.query.format || "").toLowerCase())
+);
+
+app.get("/api/admin/keys/:key/usage.csv", requireAdmin(), (req, res) =>
+  sendUsage(req, res, "csv")
+);
+
+// Расход организации с разбивкой по сотрудникам
+// GET /api/admin/orgs/:id/usage?from=...&to=...
+app.get("/api/admin/orgs/:id/usage", requireAdmin(), (req, res) => {
+  const id = req.params.id;
+  const org = store.get("orgs", id);
+  if (!org) return res.status(404).json({ ok: false, error: "Org not found" });
+
+  const list = usageFor(req, (e) => e.org === id);
+  if (!list)
+    return res.status(400).json({ ok: false, error: "Bad from/to date" });
+
+  // текущие сотрудники — даже без вызовов; бывшие — если есть в журнале
+  const members = new Map();
+  for (const [keyId, rec] of store.list("keys")) {
+    if (rec.org !== id) continue;
+    members.set(keyId, {
+      id: keyId,
+      prefix: rec.prefix || null,
+      cap: limitOf(rec), // 0 = только пул
+      used: rec.used || 0,
+      calls: 0,
+      credits: 0,
+    });
+  }
+  for (const e of list) {
+    if (!members.has(e.key))
+      members.set(e.key, {
+        id: e.key,
+        prefix: e.key_prefix || null,
+        cap: null,
+        used: null,
+        calls: 0,
+        credits: 0,
+        former_member: true,
+      });
+    const m = members.get(e.key);
+    m.calls++;
+    m.credits += e.credits || 0;
+  }
+
+  res.json({
+    ok: true,
+    org: orgView(id, org),
+    total: list.length,
+    credits: list.reduce((sum, e) => sum + (e.credits || 0), 0),
+    members: [...members.values()].sort((a, b) => b.credits - a.credits),
+  });
+});
+
+/* ---------- аналитика ---------- */
+
+function percentile(sorted, q) {
+  if (!sorted.length) return null;
+  return sorted[Math.max(0, Math.ceil(q * sorted.length) - 1)];
+}
+
+const round = (n, digits) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// Счётчик исходов + задержки для одной группы (роут / модель / день)
+function statBucket(extra) {
+  return {
+    ...extra,
+    generations: 0,
+    success: 0,
+    partial: 0,
+    failed: 0,
+    credits: 0,
+    provider_cost: 0,
+    latencies: [],
+  };
+}
+
+function addToBucket(b, e) {
+  b.generations++;
+  b[e.outcome in b ? e.outcome : "failed"]++;
+  b.credits += e.credits || 0;
+  b.provider_cost += e.provider_cost || 0;
+  if (typeof e.latency_ms === "number") b.latencies.push(e.latency_ms);
+}
+
+function closeBucket({ latencies, ...b }) {
+  const sorted = latencies.sort((x, y) => x - y);
+  return {
+    ...b,
+    success_rate: b.generations
+      ? round((b.success + b.partial) / b.generations, 4)
+      : null,
+    latency_p50_ms: percentile(sorted, 0.5),
+    latency_p95_ms: percentile(sorted, 0.95),
+    provider_cost: round(b.provider_cost, 4),
+  };
+}
+
+// GET /api/admin/analytics?from=...&to=...&top=10 — по умолчанию последние 30 дней
+// Всё считается из usage.jsonl: события генераций + предсказания Replicate в них
+app.get("/api/admin/analytics", requireAdmin(), (req, res) => {
+  const from =
+    req.query.from || new Date(Date.now() - 30 * 86400e3).toISOString();
+  const list = usageFor({ query: { ...req.query, from } }, () => true);
+  if (!list)
+    return res.status(400).json({ ok: false, error: "Bad from/to date" });
+  const top = Math.max(1, Math.min(100, Number(req.query.top) || 10));
+
+  const totals = statBucket({ predict_seconds: 0 });
+  const days = new Map();
+  const routes = new Map();
+  const models = new Map();
+  const keys = new Map();
+  const bucket = (map, id, extra) => {
+    if (!map.has(id)) map.set(id, statBucket(extra));
+    return map.get(id);
+  };
+
+  for (const e of list) {
+    addToBucket(totals, e);
+    totals.predict_seconds += e.predict_seconds || 0;
+    const day = String(e.ts).slice(0, 10);
+    addToBucket(bucket(days, `${day} ${e.route}`, { day, route: e.route }), e);
+    addToBucket(bucket(routes, e.route, { route: e.route }), e);
+    if (e.key)
+      addToBucket(
+        bucket(keys, e.key, {
+          key: e.key,
+          key_prefix: e.key_prefix || null,
+          org: e.org || null,
+        }),
+        e
+      );
+
+    // модели — по каждому предсказанию (у remove-bg цепочки их может быть несколько)
+    for (const p of e.predictions || []) {
+      const m = bucket(models, p.model || "unknown", {
+        model: p.model || "unknown",
+        predict_seconds: 0,
+      });
+      m.generations++;
+      if (p.status === "succeeded") m.success++;
+      else m.failed++;
+      m.provider_cost += predictionCost(p);
+      if (typeof p.predict_time === "number") {
+        m.predict_seconds += p.predict_time;
+        m.latencies.push(Math.round(p.predict_time * 1000));
+      }
+    }
+  }
+
+  const byCount = (a, b) => b.generations - a.generations;
+  res.json({
+    ok: true,
+    from,
+    to: req.query.to || null,
+    totals: {
+      ...closeBucket(totals),
+      predict_seconds: round(totals.predict_seconds, 3),
+    },
+    days: [...days.values()]
+      .map(closeBucket)
+      .sort(
+        (a, b) => a.day.localeCompare(b.day) || a.route.localeCompare(b.route)
+      ),
+    routes: [...routes.values()].map(closeBucket).sort(byCount),
+    models: [...models.values()]
+      .map((m) => {
+        const { credits, partial, ...rest } = closeBucket(m);
+        return { ...rest, predict_seconds: round(m.predict_seconds, 3) };
+      })
+      .sort(byCount),
+    top_keys: [...keys.values()]
+      .map(closeBucket)
+      .sort(
+        (a, b) => b.credits - a.credits || b.provider_cost - a.provider_cost
+      )
+      .slice(0, top),
+  });
+});
+
+/* ---------- журнал действий ---------- */
+
+const AUDIT_COLUMNS = [
+  "ts",
+  "actor",
+  "role",
+  "via",
+  "ip",
+  "action",
+  "target",
+  "before",
+  "after",
+];
+
+// ?actor=&action= (точно или по префиксу: "key" → key.*)&target=&from=&to=
+function auditFor(req) {
+  const from = req.query.from ? Date.parse(req.query.from) : -Infinity;
+  const to = req.query.to ? Date.parse(req.query.to) : Infinity;
+  if (Number.isNaN(from) || Number.isNaN(to)) return null;
+
+  const q = (name) => String(req.query[name] || "").trim();
+  const actor = q("actor");
+  const action = q("action");
+  const target = q("target");
+  const targetId = target ? resolveKeyRef(target) || target : "";
+
+  return readJsonl(AUDIT_LOG).filter((e) => {
+    if (actor && e.actor !== actor) return false;
+    if (
+      action &&
+      e.action !== action &&
+      !String(e.action).startsWith(action + ".")
+    )
+      return false;
+    if (targetId && e.target !== targetId && !e.keys?.includes(targetId))
+      return false;
+    const t = Date.parse(e.ts);
+    return t >= from && t < to;
+  });
+}
+
+// GET /api/admin/audit?...&limit=200 — свежие сверху
+app.get("/api/admin/audit", requireAdmin("owner"), (req, res) => {
+  const list = auditFor(req);
+  if (!list)
+    return res.status(400).json({ ok: false, error: "Bad from/to date" });
+  const limit = Math.max(1, Math.min(5000, Number(req.query.limit || 200)));
+
+  res.json({
+    ok: true,
+    total: list.length,
+    entries: list.slice(-limit).reverse(),
+  });
+});
+
+// GET /api/admin/audit.csv — те же фильтры, весь отбор
+app.get("/api/admin/audit.csv", requireAdmin("owner"), (req, res) => {
+  const list = auditFor(req);
+  if (!list)
+    return res.status(400).json({ ok: false, error: "Bad from/to date" });
+
+  const cell = (v) => (v && typeof v === "object" ? JSON.stringify(v) : v);
+  // остальное (topup, format, keys...) — одной колонкой
+  const details = (e) => {
+    const rest = { ...e };
+    for (const c of AUDIT_COLUMNS) delete rest[c];
+    return Object.keys(rest).length ? rest : "";
+  };
+  const rows = [
+    [...AUDIT_COLUMNS, "details"],
+    ...list.map((e) => [
+      ...AUDIT_COLUMNS.map((c) => cell(e[c])),
+      cell(details(e)),
+    ]),
+  ];
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", 'attachment; filename="hiai_audit.csv"');
+  res.send(toCsv(rows));
 });
 
 /* ====================== UPLOAD (form-data) ====================== */
@@ -954,16 +5748,119 @@ app.post("/api/upload", upload.single("file"), async (req, res) => {
     const name = `${Date.now()}_${safeName}`;
     fs.writeFileSync(path.join(UPLOAD_DIR, name), req.file.buffer);
 
-    return res.json({ url: absUrl(req, `/uploads/${name}`) });
-  } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: "upload_failed" });
+    return res.json({ url: absUrl(req, `/uploads/${name}`) });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "upload_failed" });
+  }
+});
+
+/* ====================== FFMPEG POOL ====================== */
+// Кодирования (trim / zoom / watermark) идут через очередь: одновременно не
+// больше FFMPEG_CONCURRENCY, остальные ждут. Позиция в очереди — стадией
+// ffmpeg_queue в задаче; зависший процесс убиваем по FFMPEG_TIMEOUT_SEC.
+
+const FFMPEG_CONCURRENCY = Math.max(
+  1,
+  Number(process.env.FFMPEG_CONCURRENCY) || Math.ceil(os.cpus().length / 2)
+);
+const FFMPEG_TIMEOUT_MS = (Number(process.env.FFMPEG_TIMEOUT_SEC) || 300) * 1000;
+
+const ffmpegPool = { active: 0, waiting: [] }; // waiting: [{ step, job, start }]
+
+function ffmpegQueueStats() {
+  return {
+    concurrency: FFMPEG_CONCURRENCY,
+    active: ffmpegPool.active,
+    queued: ffmpegPool.waiting.length,
+    timeout_sec: FFMPEG_TIMEOUT_MS / 1000,
+  };
+}
+
+// Ждущим — их текущая позиция (1 = следующий)
+function announceFfmpegQueue() {
+  ffmpegPool.waiting.forEach((w, i) => {
+    if (w.job && !w.job.finished_at)
+      pushJobEvent(w.job, "ffmpeg_queue", {
+        step: w.step,
+        position: i + 1,
+        queued: ffmpegPool.waiting.length,
+      });
+  });
+}
+
+function acquireFfmpegSlot(step) {
+  if (ffmpegPool.active < FFMPEG_CONCURRENCY) {
+    ffmpegPool.active++;
+    return Promise.resolve();
+  }
+
+  const { job, work } = genContext.getStore() || {};
+  return new Promise((resolve, reject) => {
+    const entry = { step, job, start: resolve };
+    ffmpegPool.waiting.push(entry);
+    announceFfmpegQueue();
+
+    // задачу отменили, пока она стояла в очереди, — уходим из очереди
+    work?.controller.signal.addEventListener(
+      "abort",
+      () => {
+        const i = ffmpegPool.waiting.indexOf(entry);
+        if (i < 0) return;
+        ffmpegPool.waiting.splice(i, 1);
+        reject(work.controller.signal.reason);
+        announceFfmpegQueue();
+      },
+      { once: true }
+    );
+  });
+}
+
+function releaseFfmpegSlot() {
+  const next = ffmpegPool.waiting.shift();
+  if (!next) {
+    ffmpegPool.active--;
+    return;
   }
-});
+  next.start(); // слот переходит следующему, active не меняется
+  announceFfmpegQueue();
+}
+
+// Кодирование через пул: ждём слот, пишем output, по таймауту убиваем процесс
+async function runFfmpeg(command, { step, duration = 0, output }) {
+  throwIfCanceled();
+  await acquireFfmpegSlot(step);
+  try {
+    await new Promise((resolve, reject) => {
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        command.kill("SIGKILL");
+      }, FFMPEG_TIMEOUT_MS);
+
+      trackFfmpeg(command, step, duration)
+        .on("end", () => {
+          clearTimeout(timer);
+          resolve();
+        })
+        .on("error", (e) => {
+          clearTimeout(timer);
+          reject(
+            timedOut
+              ? new Error(`ffmpeg timeout after ${FFMPEG_TIMEOUT_MS / 1000}s`)
+              : e
+          );
+        })
+        .save(output);
+    });
+  } finally {
+    releaseFfmpegSlot();
+  }
+}
 
 /* ====================== TRIM 2s / 2.5s ====================== */
 
-app.post("/api/trim25", guardPaid, upload.single("file"), async (req, res) => {
+app.post("/api/trim25", guardPaid, upload.single("file"), jobify(async (req, res) => {
   // CORS
   res.setHeader("Access-Control-Allow-Origin", "*");
   try {
@@ -976,7 +5873,7 @@ app.post("/api/trim25", guardPaid, upload.single("file"), async (req, res) => {
 
     fs.writeFileSync(inPath, req.file.buffer);
 
-    await new Promise((resolve, reject) => {
+    await runFfmpeg(
       ffmpeg(inPath)
         .outputOptions([
           "-t 2.5",
@@ -989,11 +5886,9 @@ app.post("/api/trim25", guardPaid, upload.single("file"), async (req, res) => {
           "-maxrate 12M",
           "-bufsize 24M",
           "-an",
-        ])
-        .on("end", resolve)
-        .on("error", reject)
-        .save(outPath);
-    });
+        ]),
+      { step: "trim", duration: 2.5, output: outPath }
+    );
 
     fs.unlink(inPath, () => {});
 
@@ -1004,7 +5899,7 @@ app.post("/api/trim25", guardPaid, upload.single("file"), async (req, res) => {
       .status(500)
       .json({ ok: false, error: String(e.message || e) });
   }
-});
+}));
 
 // alias под фронтовый TRIM:'/api/trim25' (ровно 2.5s)
 // (второй вариант с 60 fps и другим CRF — последним зарегистрированным будет он)
@@ -1019,7 +5914,7 @@ app.post("/api/trim25", upload.single("file"), async (req, res) => {
 
     fs.writeFileSync(inPath, req.file.buffer);
 
-    await new Promise((resolve, reject) => {
+    await runFfmpeg(
       ffmpeg(inPath)
         .outputOptions([
           "-t 2.5",
@@ -1030,11 +5925,9 @@ app.post("/api/trim25", upload.single("file"), async (req, res) => {
           "-preset veryfast",
           "-crf 22",
           "-an",
-        ])
-        .on("end", resolve)
-        .on("error", reject)
-        .save(outPath);
-    });
+        ]),
+      { step: "trim", duration: 2.5, output: outPath }
+    );
 
     fs.unlink(inPath, () => {});
 
@@ -1050,7 +5943,7 @@ app.post("/api/trim25", upload.single("file"), async (req, res) => {
 /* ====================== ZOOM (duration/fps/factor) ====================== */
 // принимает duration(1–5), fps(15–60), factor(1.0–2.0)
 
-app.post("/api/zoom2s", guardPaid, upload.single("file"), async (req, res) => {
+app.post("/api/zoom2s", guardPaid, upload.single("file"), jobify(async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ ok: false, error: "no_file" });
 
@@ -1086,7 +5979,7 @@ app.post("/api/zoom2s", guardPaid, upload.single("file"), async (req, res) => {
       )},${factor})':d=1:s=iw:ih`,
     ].join(",");
 
-    await new Promise((resolve, reject) => {
+    await runFfmpeg(
       ffmpeg(inPath)
         .videoFilters(filter)
         .outputOptions([
@@ -1101,11 +5994,9 @@ app.post("/api/zoom2s", guardPaid, upload.single("file"), async (req, res) => {
           "-maxrate 12M",
           "-bufsize 24M",
           "-an",
-        ])
-        .on("end", resolve)
-        .on("error", reject)
-        .save(outPath);
-    });
+        ]),
+      { step: "zoom", duration, output: outPath }
+    );
 
     fs.unlink(inPath, () => {});
 
@@ -1116,11 +6007,11 @@ app.post("/api/zoom2s", guardPaid, upload.single("file"), async (req, res) => {
       .status(500)
       .json({ ok: false, error: String(e.message || e) });
   }
-});
+}));
 
 /* ====================== WATERMARK ====================== */
 
-app.post("/api/watermark-video", upload.single("file"), async (req, res) => {
+app.post("/api/watermark-video", upload.single("file"), jobify(async (req, res) => {
   // CORS
   res.setHeader("Access-Control-Allow-Origin", "*");
 
@@ -1152,7 +6043,7 @@ app.post("/api/watermark-video", upload.single("file"), async (req, res) => {
       `box=1:boxcolor=black@0.30:boxborderw=6*${SCALE}:` +
       `x=w-tw-14*${SCALE}:y=h-th-14*${SCALE}`;
 
-    await new Promise((resolve, reject) => {
+    await runFfmpeg(
       ffmpeg(inPath)
         .videoFilters(draw)
         .outputOptions([
@@ -1164,11 +6055,9 @@ app.post("/api/watermark-video", upload.single("file"), async (req, res) => {
           "-maxrate 12M",
           "-bufsize 24M",
           "-an",
-        ])
-        .on("end", resolve)
-        .on("error", reject)
-        .save(outPath);
-    });
+        ]),
+      { step: "watermark", duration: 0, output: outPath }
+    );
 
     fs.unlink(inPath, () => {});
 
@@ -1179,7 +6068,7 @@ app.post("/api/watermark-video", upload.single("file"), async (req, res) => {
       .status(500)
       .json({ ok: false, error: String(e.message || e) });
   }
-});
+}));
 
 /* ====================== SHORTENER ====================== */
 
@@ -1330,74 +6219,1026 @@ app.post("/api/generate", async (req, res) => {
     const name = `${Date.now()}_${safeId || "tpl"}.${ext}`;
     fs.writeFileSync(path.join(UPLOAD_DIR, name), buf);
 
-    return res.json({ ok: true, url: absUrl(req, `/uploads/${name}`) });
+    return res.json({ ok: true, url: absUrl(req, `/uploads/${name}`) });
+  } catch (e) {
+    console.error("GENERATE", e);
+    return res
+      .status(500)
+      .json({ ok: false, error: "generate_failed" });
+  }
+});
+
+/* ====================== JOBS (async mode) ====================== */
+// ?async=1 / { async: true } / Prefer: respond-async — сразу 202 { job_id },
+// а генерация идёт в фоне; статус и результат — GET /api/jobs/:id.
+// Без флага роуты отвечают синхронно, как раньше.
+// Задачи (и синхронные запросы, пока идут) лежат в jobStore (ns "jobs"): после
+// рестарта сервер досматривает их предсказания Replicate и отдаёт результат
+// через GET /api/jobs/:id — синхронный клиент найдёт его в GET /api/jobs.
+// У каждой задачи свой токен (job_token из ответа 202): без ключа — например,
+// при выключенном paywall — задачу открывает только он.
+
+const JOBS = new Map(); // id → задача
+const JOB_TTL_MS = parseDuration(process.env.JOB_TTL || "1h") || 3600e3;
+const JOB_EVENTS_MAX = 200; // история стадий на задачу (для переподключений SSE)
+const JOB_SAVE_DELAY_MS = 1000; // частые стадии (проценты) пишем не чаще раза в секунду
+const JOB_RESUME_MAX_MS = 15 * 60e3; // сколько после рестарта ждём предсказание
+
+// Подписчики SSE: событие "<job id>" на каждую новую стадию
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Роуты, которые всегда идут задачей: одному HTTP-запросу их не дождаться
+const ASYNC_ONLY_ROUTES = new Set(["/api/brand-post/batch"]);
+
+function wantsAsync(req) {
+  if (ASYNC_ONLY_ROUTES.has(req.path)) return true;
+  const body = readBody(req.body);
+  const flag = String(req.query.async ?? body.async ?? "").toLowerCase();
+  return (
+    ["1", "true", "yes"].includes(flag) ||
+    /respond-async/i.test(req.header("Prefer") || "")
+  );
+}
+
+function jobView(job) {
+  const done = !!job.finished_at;
+  return {
+    id: job.id,
+    route: job.route,
+    status: job.status, // queued | running | succeeded | failed | canceled
+    progress: job.progress,
+    created_at: job.created_at,
+    started_at: job.started_at || null,
+    finished_at: job.finished_at || null,
+    ...(job.recovered_at ? { recovered_at: job.recovered_at } : {}),
+    ...(done ? { http_status: job.http_status, result: job.result } : {}),
+  };
+}
+
+// Стадии: queued, running, caption, prediction_created, provider_status,
+// fallback, ffmpeg_queue, ffmpeg, campaign (строки кампании), resumed (после
+// рестарта), result
+function pushJobEvent(job, stage, data = {}) {
+  job.seq = (job.seq || 0) + 1;
+  const evt = { seq: job.seq, ts: new Date().toISOString(), stage, ...data };
+  job.events.push(evt);
+  if (job.events.length > JOB_EVENTS_MAX)
+    job.events.splice(0, job.events.length - JOB_EVENTS_MAX);
+  job.progress = { stage, ...data, updated_at: evt.ts };
+  jobEvents.emit(job.id, evt);
+  saveJob(job, !["provider_status", "ffmpeg", "ffmpeg_queue"].includes(stage));
+}
+
+// Стадия из кода роута / хелперов — в текущую задачу
+function jobEvent(stage, data) {
+  const job = genContext.getStore()?.job;
+  if (!job || job.finished_at) return;
+  pushJobEvent(job, stage, data);
+}
+
+/* ---------- живая работа задачи (отмена) ---------- */
+
+// id задачи → { controller, hold, ffmpeg }; только в памяти процесса
+const JOB_WORK = new Map();
+
+function startJobWork(job, hold) {
+  const work = {
+    controller: new AbortController(),
+    hold: hold || null,
+    ffmpeg: new Set(), // запущенные команды fluent-ffmpeg
+  };
+  JOB_WORK.set(job.id, work);
+  return work;
+}
+
+// Задачу отменили — новых предсказаний и ffmpeg не начинаем
+function throwIfCanceled() {
+  genContext.getStore()?.work?.controller.signal.throwIfAborted();
+}
+
+// Останавливаем локальную работу и отменяем предсказания на Replicate.
+// Возвращает, сколько предсказаний Replicate подтвердил как отменённые
+async function abortJobWork(work, pending, reason) {
+  if (work) {
+    work.controller.abort(new Error(reason));
+    for (const command of work.ffmpeg) command.kill("SIGKILL");
+  }
+  const results = await Promise.allSettled(pending.map(cancelPrediction));
+  return results.filter(
+    (r) => r.status === "fulfilled" && r.value?.status === "canceled"
+  ).length;
+}
+
+// Сколько кредитов оставить себе при отмене — по cancel_refund тарифа ключа
+function cancelKept(job, hold) {
+  const plan = PLANS[loadKeyRecord(hold.key)?.plan] || {};
+  const policy = plan.cancel_refund || "full";
+  if (policy === "none") return hold.credits;
+  if (policy === "if_not_started") {
+    const started =
+      hold.predictions?.size > 0 ||
+      job.events.some(
+        (e) => e.stage === "provider_status" && e.status !== "starting"
+      );
+    return started ? hold.credits : 0;
+  }
+  return 0;
+}
+
+/* ---------- задачи на диске ---------- */
+
+const jobSaveTimers = new Map();
+
+function saveJob(job, now = true) {
+  if (job.dropped) return;
+  if (!now) {
+    if (!jobSaveTimers.has(job.id))
+      jobSaveTimers.set(
+        job.id,
+        setTimeout(() => saveJob(job), JOB_SAVE_DELAY_MS).unref()
+      );
+    return;
+  }
+  clearTimeout(jobSaveTimers.get(job.id));
+  jobSaveTimers.delete(job.id);
+  jobStore.put("jobs", job.id, job);
+}
+
+// Синхронный запрос ответил сам — запись больше не нужна
+function dropJob(job) {
+  job.dropped = true;
+  clearTimeout(jobSaveTimers.get(job.id));
+  jobSaveTimers.delete(job.id);
+  jobStore.remove("jobs", job.id);
+}
+
+// Параметры запроса для записи задачи: без ключа и без тяжёлых data:-URL / base64
+function jobParams(req) {
+  const { key, async, ...params } = { ...req.query, ...readBody(req.body) };
+  if (req.file)
+    params.file = { name: req.file.originalname, size: req.file.size };
+  return JSON.parse(
+    JSON.stringify(params, (k, v) =>
+      typeof v === "string" && v.length > 2000 ? `[${v.length} chars]` : v
+    )
+  );
+}
+
+function createJob(req, { sync = false } = {}) {
+  return {
+    id: `job_${crypto.randomBytes(12).toString("hex")}`,
+    route: req.path,
+    key: req.payKey?.id || null,
+    token: crypto.randomBytes(16).toString("hex"),
+    status: "queued",
+    progress: null,
+    events: [],
+    created_at: new Date().toISOString(),
+    params: jobParams(req),
+    hold_id: req.payKey?.hold?.id || null,
+    pending: [], // предсказания Replicate в работе: { id, model, get_url }
+    ...(sync ? { sync: true } : {}),
+  };
+}
+
+// Предсказание ушло в Replicate — запоминаем, чтобы после рестарта дождаться его
+function trackJobPrediction(pred, model) {
+  const job = genContext.getStore()?.job;
+  if (!job || job.finished_at || !pred?.id || !pred.urls?.get) return;
+  job.pending.push({
+    id: pred.id,
+    model: model || null,
+    get_url: pred.urls.get,
+    cancel_url: pred.urls.cancel || null,
+  });
+}
+
+// state — явный итог ("canceled"); иначе по ответу роута
+function completeJob(job, status, payload, state) {
+  if (job.finished_at) return; // уже отменена — поздний ответ роута не нужен
+  JOB_WORK.delete(job.id);
+  Object.assign(job, {
+    status:
+      state ||
+      (status < 400 && payload?.ok !== false ? "succeeded" : "failed"),
+    http_status: status,
+    result: payload,
+    finished_at: new Date().toISOString(),
+    pending: [],
+  });
+  pushJobEvent(job, "result", { status: job.status, http_status: status });
+  if (job.idempotency) finishIdempotent(job);
+}
+
+// Прогресс ffmpeg (fluent-ffmpeg "progress") в процентах от ожидаемой длины
+// (заодно регистрируем процесс в задаче — отмена его убьёт)
+function trackFfmpeg(command, step, durationSec) {
+  const work = genContext.getStore()?.work;
+  if (work) {
+    work.ffmpeg.add(command);
+    const forget = () => work.ffmpeg.delete(command);
+    command
+      .on("start", () => {
+        if (work.controller.signal.aborted) command.kill("SIGKILL");
+      })
+      .on("end", forget)
+      .on("error", forget);
+  }
+
+  let last = -1;
+  return command.on("progress", (p) => {
+    const [h = 0, m = 0, sec = 0] = String(p.timemark || "")
+      .split(":")
+      .map(Number);
+    const done = h * 3600 + m * 60 + sec;
+    const percent = Math.min(
+      100,
+      Math.floor(durationSec > 0 ? (done / durationSec) * 100 : p.percent || 0)
+    );
+    if (!Number.isFinite(percent) || percent === last) return;
+    last = percent;
+    jobEvent("ffmpeg", { step, percent });
+  });
+}
+
+// Последний "NN%|" из логов модели (tqdm)
+function logPercent(logs) {
+  const all = String(logs || "").match(/(\d{1,3})%\|/g);
+  return all ? Math.min(100, parseInt(all[all.length - 1], 10)) : null;
+}
+
+// Ответ-заглушка для фонового запуска: всё, что роут "отправил", уходит в onDone
+function jobResponse(onDone) {
+  const res = new EventEmitter();
+  const headers = {};
+  res.statusCode = 200;
+  res.headersSent = false;
+  res.locals = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.setHeader = res.set = res.header = (name, value) => {
+    headers[String(name).toLowerCase()] = value;
+    return res;
+  };
+  res.getHeader = (name) => headers[String(name).toLowerCase()];
+  res.json = (payload) => {
+    if (!res.headersSent) {
+      res.headersSent = true;
+      onDone(res.statusCode, payload);
+      res.emit("finish");
+    }
+    return res;
+  };
+  res.send = (body) =>
+    res.json(body && typeof body === "object" ? body : { ok: false, body });
+  res.end = () => res.json({ ok: false, error: "empty response" });
+  res.sendStatus = (code) => res.status(code).json({ ok: code < 400 });
+  return res;
+}
+
+function runJob(job, req, handler) {
+  const res = jobResponse((status, payload) => {
+    req.generation?.finish(status, payload);
+    completeJob(job, status, payload);
+  });
+  const fail = (e) =>
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+
+  job.status = "running";
+  job.started_at = new Date().toISOString();
+  pushJobEvent(job, "running");
+
+  const work = startJobWork(job, req.payKey?.hold);
+  const ctx = genContext.getStore() || { predictions: new Map() };
+  genContext.run({ ...ctx, job, work }, async () => {
+    try {
+      await handler(req, res, (err) => fail(err || "not handled"));
+    } catch (e) {
+      fail(e);
+    }
+    if (!res.headersSent) fail("no response");
+  });
+}
+
+// Обёртка роута генерации: синхронно по умолчанию, задачей — по запросу
+function jobify(handler) {
+  return (req, res, next) => {
+    // с Idempotency-Key — всегда задачей: повтор запроса подцепится к ней же
+    if (!wantsAsync(req) && !req.idempotency) {
+      // платный синхронный запрос тоже пишем на диск, пока он идёт
+      if (!req.payKey) return handler(req, res, next);
+      const job = createJob(req, { sync: true });
+      job.status = "running";
+      job.started_at = job.created_at;
+      saveJob(job);
+      const work = startJobWork(job, req.payKey.hold);
+      res.on("close", () => {
+        // клиент ушёл, не дождавшись ответа, — Replicate и ffmpeg тоже останавливаем
+        if (!res.writableFinished)
+          abortJobWork(work, job.pending, "client disconnected");
+        JOB_WORK.delete(job.id);
+        dropJob(job);
+      });
+      const ctx = genContext.getStore() || { predictions: new Map() };
+      return genContext.run({ ...ctx, job, work }, () =>
+        handler(req, res, next)
+      );
+    }
+
+    const job = createJob(req);
+    if (req.idempotency) linkIdempotent(req.idempotency, job);
+    JOBS.set(job.id, job);
+    pushJobEvent(job, "queued");
+
+    // удержание кредитов и слот частоты теперь живут, пока живёт задача
+    if (req.generation) req.generation.detached = true;
+
+    respondWithJob(req, res, job);
+    runJob(job, req, handler);
+  };
+}
+
+// Ответ по задаче: async — 202 со ссылками, иначе ждём её итог
+// (синхронный клиент, отвалившись, задачу не останавливает)
+function respondWithJob(req, res, job) {
+  if (wantsAsync(req)) {
+    const statusUrl = `/api/jobs/${job.id}`;
+    res.setHeader("Location", statusUrl);
+    return res.status(202).json({
+      ok: true,
+      job_id: job.id,
+      job_token: job.token,
+      status: job.status,
+      status_url: statusUrl,
+      // EventSource не умеет заголовки — токен задачи в query
+      events_url: `${statusUrl}/events?token=${job.token}`,
+    });
+  }
+
+  const send = () => res.status(job.http_status || 500).json(job.result);
+  if (job.finished_at) return send();
+  const onEvent = (evt) => {
+    if (evt.stage !== "result") return;
+    jobEvents.off(job.id, onEvent);
+    send();
+  };
+  jobEvents.on(job.id, onEvent);
+  res.on("close", () => jobEvents.off(job.id, onEvent));
+}
+
+// Задачу видит тот же ключ, что её запустил, или тот, у кого её токен
+// (X-Job-Token или ?token=)
+function jobFor(req, key = extractKey(req)) {
+  const job = JOBS.get(req.params.id);
+  if (!job) return null;
+  if (job.key && key && findKeyId(key) === job.key) return job;
+
+  const token = Buffer.from(
+    String(req.header("X-Job-Token") || req.query.token || "")
+  );
+  const expected = Buffer.from(job.token || "");
+  return expected.length > 0 &&
+    token.length === expected.length &&
+    crypto.timingSafeEqual(token, expected)
+    ? job
+    : null;
+}
+
+// GET /api/jobs — последние задачи своего ключа
+// (сюда же попадают синхронные запросы, которые досмотрели после рестарта)
+app.get("/api/jobs", (req, res) => {
+  const keyId = findKeyId(extractKey(req));
+  if (!keyId)
+    return res.status(401).json({ ok: false, error: "invalid or missing key" });
+
+  const jobs = [...JOBS.values()]
+    .filter((job) => job.key === keyId)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, 50)
+    .map(jobView);
+  res.json({ ok: true, jobs });
+});
+
+// GET /api/jobs/:id — статус / прогресс / результат
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobFor(req);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+  res.json({ ok: true, ...jobView(job) });
+});
+
+// POST /api/jobs/:id/cancel — останавливаем задачу (ffmpeg, предсказание на
+// Replicate); удержанные кредиты возвращаем по cancel_refund тарифа ключа
+app.post("/api/jobs/:id/cancel", async (req, res) => {
+  const job = jobFor(req);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+  if (job.finished_at) {
+    return res.status(409).json({
+      ok: false,
+      error: `Job already ${job.status}`,
+      status: job.status,
+    });
+  }
+
+  const work = JOB_WORK.get(job.id);
+  const pending = [...(job.pending || [])];
+  const hold =
+    work?.hold || (job.hold_id ? store.get("holds", job.hold_id) : null);
+  const payload = { ok: false, error: "canceled" };
+
+  let refunded = 0;
+  if (hold && hold.status === "held") {
+    settleHold(hold, 499, payload, {
+      kept: cancelKept(job, hold),
+      reason: "canceled by user",
+      outcome: "canceled",
+    });
+    refunded = hold.credits - hold.kept;
+  }
+  completeJob(job, 499, payload, "canceled");
+
+  const canceled = await abortJobWork(work, pending, "job canceled");
+  res.json({
+    ok: true,
+    ...jobView(job),
+    refunded,
+    predictions_canceled: canceled,
+  });
+});
+
+// GET /api/jobs/:id/events — SSE: "progress" на каждую стадию, в конце "result"
+// (с Last-Event-ID присылаем только то, чего клиент ещё не видел).
+// Ключ — только заголовком: ?key= оседал бы в логах прокси, в query — лишь токен задачи
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = jobFor(req, req.header("X-API-Key"));
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx не должен буферизовать поток
+  });
+  res.write("retry: 3000\n\n");
+
+  const send = (evt) => {
+    if (res.writableEnded) return;
+    const final = evt.stage === "result";
+    const data = final ? { ...evt, job: jobView(job) } : evt;
+    res.write(
+      `id: ${evt.seq}\nevent: ${final ? "result" : "progress"}\n` +
+        `data: ${JSON.stringify(data)}\n\n`
+    );
+    if (final) res.end();
+  };
+
+  const after = Number(req.header("Last-Event-ID") || req.query.after || 0);
+  job.events.filter((e) => e.seq > after).forEach(send);
+  if (job.finished_at) return res.writableEnded || res.end();
+
+  jobEvents.on(job.id, send);
+  const ping = setInterval(() => res.write(": ping\n\n"), 15e3);
+  const cleanup = () => {
+    clearInterval(ping);
+    jobEvents.off(job.id, send);
+  };
+  req.on("close", cleanup);
+  res.on("finish", cleanup);
+  res.on("error", cleanup);
+});
+
+// завершённые задачи держим JOB_TTL (по умолчанию час)
+setInterval(() => {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of JOBS)
+    if (job.finished_at && Date.parse(job.finished_at) < cutoff) {
+      JOBS.delete(id);
+      jobStore.remove("jobs", id);
+    }
+}, 60e3).unref();
+
+/* ---------- после рестарта ---------- */
+
+// Задачи прошлого запуска: готовые сразу видны в API, незаконченные ждут resumeJobs()
+for (const [id, job] of jobStore.list("jobs")) JOBS.set(id, job);
+
+// Снимок прошлого запуска — до listen, пока в сторе нет ничего нового:
+// незаконченные задачи откладываем для resumeJobs(), удержания без хозяина
+// закрываем сразу. Запросы, принятые после старта, сюда не попадут.
+function recoverJobs() {
+  const recovered = [];
+  const owned = new Set();
+  for (const job of JOBS.values()) {
+    if (job.finished_at) continue;
+    const raw = job.hold_id ? store.get("holds", job.hold_id) : null;
+    if (raw) owned.add(raw.id);
+    recovered.push({ job, hold: raw && { ...raw, predictions: new Map() } });
+  }
+
+  for (const [id, raw] of store.list("holds")) {
+    if (owned.has(id)) continue;
+    settleHold({ ...raw, predictions: new Map() }, 503, {
+      ok: false,
+      error: "interrupted by server restart",
+    });
+  }
+  return recovered;
+}
+
+// Досматриваем только задачи из снимка (пока ждали вебхуки, их могли отменить)
+function resumeJobs(recovered) {
+  for (const { job, hold } of recovered)
+    if (!job.finished_at) resumeJob(job, hold);
+}
+
+// Ждём последнее отправленное в Replicate предсказание; нечего ждать — возврат
+async function resumeJob(job, hold) {
+  const pending = job.pending?.[job.pending.length - 1];
+  job.recovered_at = new Date().toISOString();
+  const finish = (status, payload) => {
+    if (hold) settleHold(hold, status, payload);
+    completeJob(job, status, payload);
+  };
+
+  // кампанию из одного предсказания не собрать — возвращаем кредиты целиком
+  if (!pending || ASYNC_ONLY_ROUTES.has(job.route))
+    return finish(503, { ok: false, error: "interrupted by server restart" });
+
+  console.log(`[JOBS] ${job.id}: resuming prediction ${pending.id}`);
+  pushJobEvent(job, "resumed", { id: pending.id, model: pending.model });
+
+  const work = startJobWork(job, hold);
+  const ctx = { predictions: hold?.predictions || new Map(), job, work };
+  await genContext.run(ctx, async () => {
+    try {
+      const p = await watchPrediction(pending.get_url, {
+        maxMs: JOB_RESUME_MAX_MS,
+        model: pending.model,
+      });
+      finish(...recoveredResult(job, pending, p));
+    } catch (e) {
+      finish(502, { ok: false, error: String(e.message || e) });
+    }
+  });
+}
+
+// Ответ роута собрать заново не из чего — отдаём сам ассет (+ подпись, если была)
+function recoveredResult(job, pending, p) {
+  const out = [].concat(p.output || [])[0] || null;
+  if (p.status !== "succeeded" || !out) {
+    return [
+      502,
+      {
+        ok: false,
+        recovered: true,
+        error: `Replicate ${p.status}: ${p.error || "no output"}`,
+      },
+    ];
+  }
+
+  const video = /\.(mp4|webm|mov)(\?|$)/i.test(String(out));
+  const caption = [...job.events].reverse().find((e) => e.stage === "caption");
+  return [
+    200,
+    {
+      ok: true,
+      recovered: true,
+      caption: caption?.caption || null,
+      video_url: video ? out : null,
+      image_url: video ? null : out,
+      model_used: pending.model,
+      mode: video
+        ? "video"
+        : job.route === "/api/video-reels"
+        ? "image_fallback"
+        : "image",
+    },
+  ];
+}
+
+/* ====================== IDEMPOTENCY ====================== */
+// Idempotency-Key на платных роутах: повтор с тем же значением от того же
+// API-ключа (без paywall и без ключа — с того же IP) в пределах
+// IDEMPOTENCY_TTL (по умолчанию сутки) не списывает кредиты и не зовёт
+// модель — получает сохранённый ответ или ждёт ту же задачу.
+// Ответы 5xx и отменённые задачи не запоминаем: повтор запустит генерацию снова.
+
+const IDEMPOTENCY_TTL_MS =
+  parseDuration(process.env.IDEMPOTENCY_TTL || "24h") || 86400e3;
+const IDEMPOTENCY_STALE_MS = 60e3; // запись без задачи — запрос умер до jobify
+
+// null — заголовка нет; { error } — заголовок негодный
+function idempotencyOf(req, keyId) {
+  const raw = req.header("Idempotency-Key");
+  if (raw == null) return null;
+  const value = String(raw).trim();
+  if (!value || value.length > 255)
+    return { error: "Idempotency-Key must be 1–255 characters" };
+
+  const { key, async, ...params } = { ...req.query, ...readBody(req.body) };
+  return {
+    id: crypto
+      .createHash("sha256")
+      .update(`${keyId}\u0000${value}`)
+      .digest("hex")
+      .slice(0, 40),
+    key: keyId,
+    value,
+    route: req.path,
+    fingerprint: crypto
+      .createHash("sha256")
+      .update(`${req.path}\u0000${JSON.stringify(params)}\u0000`)
+      .update(payloadDigest(req))
+      .digest("hex"),
+  };
+}
+
+// То, чего нет в params: сырое текстовое тело (CSV / JSONL) и загруженные
+// файлы — если к этому моменту они уже разобраны
+function payloadDigest(req) {
+  const hash = crypto.createHash("sha256");
+  if (typeof req.body === "string" || Buffer.isBuffer(req.body))
+    hash.update(req.body);
+  const files = req.file
+    ? [req.file]
+    : Object.values(req.files || {}).flat();
+  for (const f of files) {
+    hash.update(`\u0000${f.fieldname}\u0000${f.originalname}\u0000`);
+    hash.update(f.buffer || "");
+  }
+  return hash.digest("hex");
+}
+
+// Запись ещё в силе: не истекла и (если не готова) её задача жива
+function liveIdempotent(rec) {
+  if (Date.parse(rec.expires_at) <= Date.now()) return false;
+  if (rec.status === "done") return true;
+  if (rec.job_id) return JOBS.has(rec.job_id);
+  return Date.now() - Date.parse(rec.created_at) < IDEMPOTENCY_STALE_MS;
+}
+
+// Такой запрос уже был (или заголовок негодный) — отвечаем за него (true)
+// или пропускаем дальше (false)
+function replayIdempotent(req, res, idem) {
+  if (idem.error) {
+    res.status(400).json({ ok: false, error: idem.error });
+    return true;
+  }
+
+  const rec = jobStore.get("idempotency", idem.id);
+  if (!rec || !liveIdempotent(rec)) return false;
+
+  if (rec.fingerprint !== idem.fingerprint) {
+    res.status(422).json({
+      ok: false,
+      error: "Idempotency-Key was already used with different request parameters",
+    });
+    return true;
+  }
+
+  res.setHeader("Idempotent-Replayed", "true");
+  if (rec.status === "done") {
+    res.status(rec.http_status).json(rec.response);
+    return true;
+  }
+
+  const job = JOBS.get(rec.job_id);
+  if (!job) {
+    res.setHeader("Retry-After", "1");
+    res.status(409).json({
+      ok: false,
+      error: "A request with this Idempotency-Key is still starting",
+    });
+    return true;
+  }
+  respondWithJob(req, res, job);
+  return true;
+}
+
+function startIdempotent(idem) {
+  const now = Date.now();
+  jobStore.put("idempotency", idem.id, {
+    key: idem.key,
+    idempotency_key: idem.value,
+    route: idem.route,
+    fingerprint: idem.fingerprint,
+    status: "in_flight",
+    job_id: null,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + IDEMPOTENCY_TTL_MS).toISOString(),
+  });
+}
+
+function linkIdempotent(idem, job) {
+  job.idempotency = idem.id;
+  jobStore.transact((tx) => {
+    const rec = tx.get("idempotency", idem.id);
+    if (rec) tx.put("idempotency", idem.id, { ...rec, job_id: job.id });
+  });
+}
+
+// Задача закончилась: запоминаем ответ (или забываем ключ, если повтор уместен)
+function finishIdempotent(job) {
+  jobStore.transact((tx) => {
+    const rec = tx.get("idempotency", job.idempotency);
+    if (!rec || rec.job_id !== job.id) return;
+    if (job.http_status >= 500 || job.status === "canceled")
+      return tx.remove("idempotency", job.idempotency);
+    tx.put("idempotency", job.idempotency, {
+      ...rec,
+      status: "done",
+      http_status: job.http_status,
+      response: job.result,
+      completed_at: job.finished_at,
+    });
+  });
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, rec] of jobStore.list("idempotency"))
+    if (Date.parse(rec.expires_at) <= now) jobStore.remove("idempotency", id);
+}, 10 * 60e3).unref();
+
+/* =============== REPLICATE HELPERS (webhooks + polling) =============== */
+// С PUBLIC_ORIGIN предсказания создаются с webhook на /api/replicate/webhook,
+// и ждём мы уведомления; опрос остаётся редкой страховкой. Без PUBLIC_ORIGIN
+// (или если он недоступен снаружи) — опрашиваем, как раньше.
+
+const REPLICATE_API_BASE = (
+  process.env.REPLICATE_API_BASE || "https://api.replicate.com/v1"
+).replace(/\/+$/, "");
+const REPLICATE_FALLBACK_POLL_MS =
+  Number(process.env.REPLICATE_FALLBACK_POLL_MS) || 20000;
+const REPLICATE_TERMINAL = ["succeeded", "failed", "canceled"];
+
+const REPLICATE_HEADERS = () => ({
+  Authorization: `Token ${process.env.REPLICATE_API_TOKEN}`,
+  "Content-Type": "application/json",
+});
+
+// Режим вебхуков: включается initReplicateWebhooks после старта сервера
+const replicateWebhooks = {
+  enabled: false,
+  url: null,
+  secret: process.env.REPLICATE_WEBHOOK_SECRET || null,
+  reason: "not initialized",
+};
+
+// id предсказания → кто ждёт его вебхуков
+const PREDICTION_WAITERS = new Map();
+
+function predictionWaiter(id) {
+  let pending = null;
+  let queued = null; // вебхук пришёл, пока никто не ждал
+  PREDICTION_WAITERS.set(id, {
+    push(p) {
+      if (pending) pending(p);
+      else queued = p;
+    },
+  });
+  return {
+    // следующее обновление из вебхука или null по таймауту
+    next(ms) {
+      if (queued) {
+        const p = queued;
+        queued = null;
+        return Promise.resolve(p);
+      }
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          pending = null;
+          resolve(null);
+        }, ms);
+        pending = (p) => {
+          clearTimeout(timer);
+          pending = null;
+          resolve(p);
+        };
+      });
+    },
+    close: () => PREDICTION_WAITERS.delete(id),
+  };
+}
+
+async function initReplicateWebhooks() {
+  const origin = (process.env.PUBLIC_ORIGIN || "").replace(/\/+$/, "");
+  if (!origin || !process.env.REPLICATE_API_TOKEN) {
+    replicateWebhooks.reason = origin
+      ? "no REPLICATE_API_TOKEN"
+      : "PUBLIC_ORIGIN not set";
+    return;
+  }
+
+  try {
+    // достучится ли Replicate до нас — проверяем тем же адресом снаружи
+    await fetchJson(`${origin}/api/ping`, {
+      signal: AbortSignal.timeout(5000),
+    });
+    if (!replicateWebhooks.secret) {
+      const { key } = await fetchJson(
+        `${REPLICATE_API_BASE}/webhooks/default/secret`,
+        { headers: REPLICATE_HEADERS(), signal: AbortSignal.timeout(10000) }
+      );
+      replicateWebhooks.secret = key;
+    }
+    if (!replicateWebhooks.secret) throw new Error("no webhook signing secret");
+
+    Object.assign(replicateWebhooks, {
+      enabled: true,
+      url: `${origin}/api/replicate/webhook`,
+      reason: null,
+    });
+    console.log(`[REPLICATE] webhooks on: ${replicateWebhooks.url}`);
+  } catch (e) {
+    replicateWebhooks.reason = String(e.message || e);
+    console.warn(
+      `[REPLICATE] webhooks off, polling instead: ${replicateWebhooks.reason}`
+    );
+  }
+}
+
+// Поля запроса на создание: куда слать вебхуки
+function replicateWebhookFields() {
+  if (!replicateWebhooks.enabled) return {};
+  return {
+    webhook: replicateWebhooks.url,
+    webhook_events_filter: ["start", "logs", "completed"],
+  };
+}
+
+// Подпись Replicate (Standard Webhooks): webhook-id / -timestamp / -signature,
+// HMAC-SHA256 от "id.timestamp.body" ключом из whsec_<base64>
+function verifyReplicateSignature(req, toleranceSec = 300) {
+  const id = req.header("webhook-id");
+  const ts = req.header("webhook-timestamp");
+  const header = req.header("webhook-signature");
+  if (!id || !ts || !header || !req.rawBody)
+    throw new Error("missing signature");
+  if (Math.abs(Date.now() / 1000 - Number(ts)) > toleranceSec)
+    throw new Error("signature timestamp too old");
+
+  const key = Buffer.from(
+    String(replicateWebhooks.secret || "").replace(/^whsec_/, ""),
+    "base64"
+  );
+  const expected = Buffer.from(
+    crypto
+      .createHmac("sha256", key)
+      .update(`${id}.${ts}.${req.rawBody.toString("utf8")}`)
+      .digest("base64")
+  );
+  const ok = header.split(" ").some((part) => {
+    const [version, sig] = part.split(",");
+    const b = Buffer.from(String(sig || ""));
+    return (
+      version === "v1" &&
+      b.length === expected.length &&
+      crypto.timingSafeEqual(b, expected)
+    );
+  });
+  if (!ok) throw new Error("bad signature");
+}
+
+// POST /api/replicate/webhook — обновление предсказания от Replicate
+app.post("/api/replicate/webhook", (req, res) => {
+  if (!replicateWebhooks.secret)
+    return res.status(404).json({ ok: false, error: "webhooks disabled" });
+  try {
+    verifyReplicateSignature(req);
   } catch (e) {
-    console.error("GENERATE", e);
-    return res
-      .status(500)
-      .json({ ok: false, error: "generate_failed" });
+    return res.status(400).json({ ok: false, error: e.message });
   }
-});
 
-/* =============== REPLICATE HELPERS (polling) =============== */
-
-const REPLICATE_HEADERS = () => ({
-  Authorization: `Token ${process.env.REPLICATE_API_TOKEN}`,
-  "Content-Type": "application/json",
+  const p = readBody(req.body);
+  const waiter = p?.id ? PREDICTION_WAITERS.get(p.id) : null;
+  if (waiter) waiter.push(p);
+  res.json({ ok: true, waiting: !!waiter });
 });
 
 async function replicateCreate(version, input) {
+  throwIfCanceled();
   if (!process.env.REPLICATE_API_TOKEN)
     throw new Error("Missing REPLICATE_API_TOKEN");
   if (!version) throw new Error("Missing Replicate model version");
 
-  return fetchJson("https://api.replicate.com/v1/predictions", {
+  const pred = await fetchJson(`${REPLICATE_API_BASE}/predictions`, {
     method: "POST",
     headers: REPLICATE_HEADERS(),
-    body: JSON.stringify({ version, input }),
+    body: JSON.stringify({ version, input, ...replicateWebhookFields() }),
   });
+  trackJobPrediction(pred, pred?.model || version);
+  jobEvent("prediction_created", {
+    id: pred?.id,
+    model: pred?.model || version,
+  });
+  return pred;
 }
 
 async function replicateCreateBySlug(slug, input) {
+  throwIfCanceled();
   if (!process.env.REPLICATE_API_TOKEN)
     throw new Error("Missing REPLICATE_API_TOKEN");
   if (!slug) throw new Error("Missing Replicate model slug");
 
-  return fetchJson(
-    `https://api.replicate.com/v1/models/${slug}/predictions`,
+  const pred = await fetchJson(
+    `${REPLICATE_API_BASE}/models/${slug}/predictions`,
     {
       method: "POST",
       headers: REPLICATE_HEADERS(),
-      body: JSON.stringify({ input }),
+      body: JSON.stringify({ input, ...replicateWebhookFields() }),
     }
   );
+  trackJobPrediction(pred, slug);
+  jobEvent("prediction_created", { id: pred?.id, model: slug });
+  return pred;
 }
 
-async function pollPredictionByUrl(
-  getUrl,
-  { tries = 240, delayMs = 1500 } = {}
-) {
-  let last = null;
-  for (let i = 0; i < tries; i++) {
-    last = await fetchJson(getUrl, {
+// Ждём финального статуса: вебхуки (если включены) + опрос.
+// Возвращает предсказание в succeeded / failed / canceled, по таймауту — ошибка
+async function watchPrediction(getUrl, { maxMs, delayMs = 1500, model } = {}) {
+  const id = String(getUrl || "").split("/").pop();
+  const waiter = replicateWebhooks.enabled && id ? predictionWaiter(id) : null;
+  const signal = genContext.getStore()?.work?.controller.signal;
+  const poll = () =>
+    fetchJson(getUrl, {
       headers: {
         Authorization: `Token ${process.env.REPLICATE_API_TOKEN}`,
       },
+      signal,
     });
+  // отмена задачи обрывает и ожидание вебхука / паузу между опросами
+  const canceled = new Promise((_, reject) => {
+    if (!signal) return;
+    if (signal.aborted) reject(signal.reason);
+    signal.addEventListener("abort", () => reject(signal.reason), {
+      once: true,
+    });
+  });
+  canceled.catch(() => {});
 
-    if (last.status === "succeeded") return last;
-
-    if (last.status === "failed" || last.status === "canceled") {
-      throw new Error(
-        `Replicate failed: ${
-          last?.error || last?.status || last?.logs || "unknown"
-        }`
-      );
+  const started = Date.now();
+  let seen = "";
+  try {
+    let last = await poll();
+    for (;;) {
+      if (REPLICATE_TERMINAL.includes(last.status)) notePrediction(last);
+      const percent = logPercent(last.logs);
+      if (`${last.status}:${percent}` !== seen) {
+        seen = `${last.status}:${percent}`;
+        jobEvent("provider_status", {
+          id: last.id || id,
+          model: model || last.model || null,
+          status: last.status,
+          percent,
+        });
+      }
+      if (REPLICATE_TERMINAL.includes(last.status)) return last;
+      if (Date.now() - started > maxMs) throw new Error("Replicate timeout");
+
+      if (waiter) {
+        last =
+          (await Promise.race([
+            waiter.next(REPLICATE_FALLBACK_POLL_MS),
+            canceled,
+          ])) || (await poll());
+      } else {
+        await Promise.race([sleep(delayMs), canceled]);
+        last = await poll();
+      }
     }
-
-    await sleep(delayMs);
+  } finally {
+    waiter?.close();
   }
-  throw new Error("Replicate timeout");
+}
+
+// POST urls.cancel — Replicate перестаёт считать (и брать деньги)
+function cancelPrediction(p) {
+  return fetchJson(p.cancel_url || `${p.get_url}/cancel`, {
+    method: "POST",
+    headers: REPLICATE_HEADERS(),
+    signal: AbortSignal.timeout(10000),
+  });
+}
+
+async function pollPredictionByUrl(
+  getUrl,
+  { tries = 240, delayMs = 1500 } = {}
+) {
+  const last = await watchPrediction(getUrl, {
+    maxMs: tries * delayMs,
+    delayMs,
+  });
+
+  if (last.status === "succeeded") return last;
+
+  throw new Error(
+    `Replicate failed: ${
+      last?.error || last?.status || last?.logs || "unknown"
+    }`
+  );
 }
 
 async function replicatePredict(version, input, pollCfg) {
@@ -1464,74 +7305,74 @@ app.post("/", (req, res) => {
 
 /* ====================== BRAND POST ====================== */
 
-app.post("/api/brand-post", guardPaid, async (req, res) => {
-  try {
-    const body = readBody(req.body);
-    const idea = (body.idea || body.prompt || "").toString().trim();
-    if (!idea)
-      return res
-        .status(400)
-        .json({ ok: false, error: "Missing 'idea' (or 'prompt')" });
-
-    const style = (body.style || "auto").toString().toLowerCase();
-    const ratio = (body.ratio || "1:1").toString().replace("-", ":");
-    const options =
-      typeof body.options === "object" ? body.options : { image: true };
-    const category = (body.category || "General").toString();
-    const subcategory = (body.subcategory || "").toString();
-    const length = (body.length || "medium").toString().toLowerCase();
-    const imageOnly = !!body.image_only;
-    const textOnly = !!body.text_only;
-    const imageModelHint = (body.image_model_hint || "auto")
-      .toString()
-      .toLowerCase();
+// Пост бренда (подпись + картинка) по полям запроса — общий для роута и кампаний.
+// Ошибка запроса — исключение со status: 400
+async function generateBrandPost(body) {
+  const idea = (body.idea || body.prompt || "").toString().trim();
+  if (!idea)
+    throw Object.assign(new Error("Missing 'idea' (or 'prompt')"), {
+      status: 400,
+    });
 
-    const [w, h] =
-      ratio === "9:16"
-        ? [896, 1600]
-        : ratio === "16:9"
-        ? [1280, 720]
-        : [1024, 1024];
-
-    const modelKey = (() => {
-      if (imageModelHint === "sdxl" || imageModelHint === "flux")
-        return imageModelHint;
-      if (style === "cartoon3d" || style === "illustrated") return "flux";
-      if (style === "futuristic" || style === "realistic") return "sdxl";
-      const isFun = /halloween|kids|pizza|party|fun|gymnastics/i.test(
-        idea || ""
-      );
-      return isFun ? "flux" : "sdxl";
-    })();
+  const style = (body.style || "auto").toString().toLowerCase();
+  const ratio = (body.ratio || "1:1").toString().replace("-", ":");
+  const options =
+    typeof body.options === "object" ? body.options : { image: true };
+  const category = (body.category || "General").toString();
+  const subcategory = (body.subcategory || "").toString();
+  const length = (body.length || "medium").toString().toLowerCase();
+  const imageOnly = !!body.image_only;
+  const textOnly = !!body.text_only;
+  const imageModelHint = (body.image_model_hint || "auto")
+    .toString()
+    .toLowerCase();
+
+  const [w, h] =
+    ratio === "9:16"
+      ? [896, 1600]
+      : ratio === "16:9"
+      ? [1280, 720]
+      : [1024, 1024];
+
+  const modelKey = (() => {
+    if (imageModelHint === "sdxl" || imageModelHint === "flux")
+      return imageModelHint;
+    if (style === "cartoon3d" || style === "illustrated") return "flux";
+    if (style === "futuristic" || style === "realistic") return "sdxl";
+    const isFun = /halloween|kids|pizza|party|fun|gymnastics/i.test(
+      idea || ""
+    );
+    return isFun ? "flux" : "sdxl";
+  })();
 
-    const lengthTargets = { short: 120, medium: 220, long: 400 };
-    const maxChars = lengthTargets[length] || 220;
-    const wantsEmoji = !!options.emojis;
-    const wantsHash = !!options.auto_hashtags;
+  const lengthTargets = { short: 120, medium: 220, long: 400 };
+  const maxChars = lengthTargets[length] || 220;
+  const wantsEmoji = !!options.emojis;
+  const wantsHash = !!options.auto_hashtags;
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
-    let caption = null,
-      vprompt = null,
-      gptUsed = false;
+  let caption = null,
+    vprompt = null,
+    gptUsed = false;
 
-    if (!imageOnly) {
-      try {
-        const user = (
-          `Write a short social media caption and a clean visual prompt for an image generator.
+  if (!imageOnly) {
+    try {
+      const user = (
+        `Write a short social media caption and a clean visual prompt for an image generator.
 
 Constraints:
 - Tone preset: ${body.preset || "neutral"}
 - CTA text: ${body.cta || "Learn more"}
 - Category: ${category}${subcategory ? " / " + subcategory : ""}
 - Emojis: ${
-            wantsEmoji ? "ON (use 1–3 emojis total)" : "OFF (no emojis)"
-          }
+          wantsEmoji ? "ON (use 1–3 emojis total)" : "OFF (no emojis)"
+        }
 - Hashtags: ${wantsHash ? "ON (2–4 relevant at end)" : "OFF (no hashtags)"}
 - Do NOT include any URLs in the caption.
 - Aim for ~${maxChars} characters (hard cap: ${Math.round(
-            maxChars * 1.1
-          )}).
+          maxChars * 1.1
+        )}).
 - Visual prompt must forbid text/letters/logos in image and keep text-safe area.
 - Aspect ratio primary: ${ratio}
 - Style hint: ${style}
@@ -1545,172 +7386,461 @@ Return STRICT JSON:
   )} chars, CTA included, obey emoji/hashtag flags, no URLs",
   "visual_prompt": "clean prompt for image generator without text in image"
 }`
-        ).trim();
+      ).trim();
 
-        const gptResp = await openai.chat.completions.create({
-          model: "gpt-4o-mini",
-          messages: [{ role: "user", content: user }],
-          temperature: 0.9,
-          max_tokens: 500,
-        });
+      const gptResp = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [{ role: "user", content: user }],
+        temperature: 0.9,
+        max_tokens: 500,
+      });
 
-        const text = gptResp?.choices?.[0]?.message?.content || "";
-        const s = text.indexOf("{"),
-          e = text.lastIndexOf("}");
-        const parsed = JSON.parse(
-          s >= 0 && e >= 0 ? text.slice(s, e + 1) : "{}"
+      const text = gptResp?.choices?.[0]?.message?.content || "";
+      const s = text.indexOf("{"),
+        e = text.lastIndexOf("}");
+      const parsed = JSON.parse(
+        s >= 0 && e >= 0 ? text.slice(s, e + 1) : "{}"
+      );
+      caption = (parsed.caption || "").toString().trim();
+      vprompt = (parsed.visual_prompt || "").toString().trim();
+
+      if (!caption || !vprompt)
+        throw new Error("Empty fields in GPT JSON");
+
+      if (caption.length > Math.round(maxChars * 1.1)) {
+        const cut = caption.slice(0, Math.round(maxChars * 1.1));
+        const idx = Math.max(
+          cut.lastIndexOf(". "),
+          cut.lastIndexOf(" "),
+          Math.floor(cut.length * 0.9)
         );
-        caption = (parsed.caption || "").toString().trim();
-        vprompt = (parsed.visual_prompt || "").toString().trim();
-
-        if (!caption || !vprompt)
-          throw new Error("Empty fields in GPT JSON");
-
-        if (caption.length > Math.round(maxChars * 1.1)) {
-          const cut = caption.slice(0, Math.round(maxChars * 1.1));
-          const idx = Math.max(
-            cut.lastIndexOf(". "),
-            cut.lastIndexOf(" "),
-            Math.floor(cut.length * 0.9)
-          );
-          caption = cut.slice(0, idx).trim() + "…";
-        }
+        caption = cut.slice(0, idx).trim() + "…";
+      }
 
-        gptUsed = true;
-      } catch (e) {
-        caption = `✨ ${idea}
+      gptUsed = true;
+    } catch (e) {
+      caption = `✨ ${idea}
 Learn more and take action today.
 
 ➡️ Learn more
 
 https://hi-ai.ai #ai #automation #creativity`.slice(0, maxChars);
 
-        vprompt = `${idea}. Modern minimalist beige & orange, warm light, clean bg, no text. AR ${ratio}.`;
-      }
-    } else {
-      vprompt = `${idea}. ${
-        style === "cartoon3d" || style === "illustrated"
-          ? "3D toon-shaded / flat illustrated, rounded forms, cel shading edges."
-          : style === "futuristic"
-          ? "Futuristic neon, glassmorphism, volumetric lights."
-          : style === "realistic"
-          ? "Photorealistic warm golden light, shallow DOF."
-          : "Let AI choose best style; clean composition."
-      } No text/logos on image. Aspect ratio ${ratio}. High detail.`;
-    }
-
-    let image_url = null,
-      modelTried = [],
-      modelError = null;
-
-    if (options.image !== false && !textOnly) {
-      try {
-        const negative =
-          "letters, text, words, watermark, logo, blurry, noisy, cluttered";
+      vprompt = `${idea}. Modern minimalist beige & orange, warm light, clean bg, no text. AR ${ratio}.`;
+    }
+  } else {
+    vprompt = `${idea}. ${
+      style === "cartoon3d" || style === "illustrated"
+        ? "3D toon-shaded / flat illustrated, rounded forms, cel shading edges."
+        : style === "futuristic"
+        ? "Futuristic neon, glassmorphism, volumetric lights."
+        : style === "realistic"
+        ? "Photorealistic warm golden light, shallow DOF."
+        : "Let AI choose best style; clean composition."
+    } No text/logos on image. Aspect ratio ${ratio}. High detail.`;
+  }
 
-        async function tryFluxByVersion() {
-          modelTried.push("FLUX(version)");
-          const job = await replicatePredict(
-            process.env.REPLICATE_MODEL_VERSION_FLUX,
-            {
-              prompt: vprompt,
-              go_fast: false,
-              megapixels: "1",
-              prompt_strength: 0.85,
-              num_outputs: 1,
-              output_format: "png",
-              output_quality: 90,
-            }
-          );
-          return Array.isArray(job.output) ? job.output[0] : job.output;
-        }
+  if (caption)
+    jobEvent("caption", { source: gptUsed ? "gpt" : "template", caption });
 
-        async function trySDXLByVersion() {
-          modelTried.push("SDXL(version)");
-          const job = await replicatePredict(
-            process.env.REPLICATE_MODEL_VERSION_SDXL,
-            {
-              prompt: vprompt,
-              negative_prompt: negative,
-              width: undefined,
-              height: undefined,
-              num_inference_steps: 30,
-              guidance_scale: 7.0,
-              scheduler: "DPMSolverMultistep",
-              num_outputs: 1,
-            }
-          );
-          return Array.isArray(job.output) ? job.output[0] : job.output;
-        }
+  let image_url = null,
+    modelTried = [],
+    modelError = null;
 
-        async function tryFluxBySlug() {
-          modelTried.push("FLUX(slug)");
-          const job = await replicateCreateBySlug(
-            "black-forest-labs/flux-schnell",
-            {
-              prompt: vprompt,
-              aspect_ratio: ratio.replace("-", ":"),
-              num_outputs: 1,
-              output_format: "png",
-              output_quality: 90,
-            }
-          );
-          const done = await pollPredictionByUrl(job?.urls?.get);
-          return Array.isArray(done.output)
-            ? done.output[0]
-            : done.output;
-        }
+  if (options.image !== false && !textOnly) {
+    try {
+      const negative =
+        "letters, text, words, watermark, logo, blurry, noisy, cluttered";
 
-        try {
-          if (
-            modelKey === "flux" &&
-            process.env.REPLICATE_MODEL_VERSION_FLUX
-          )
-            image_url = await tryFluxByVersion();
-          else if (process.env.REPLICATE_MODEL_VERSION_SDXL)
-            image_url = await trySDXLByVersion();
-        } catch (e) {
-          modelError = String(e);
-        }
+      async function tryFluxByVersion() {
+        modelTried.push("FLUX(version)");
+        const job = await replicatePredict(
+          process.env.REPLICATE_MODEL_VERSION_FLUX,
+          {
+            prompt: vprompt,
+            go_fast: false,
+            megapixels: "1",
+            prompt_strength: 0.85,
+            num_outputs: 1,
+            output_format: "png",
+            output_quality: 90,
+          }
+        );
+        return Array.isArray(job.output) ? job.output[0] : job.output;
+      }
 
-        if (!image_url) {
-          try {
-            image_url = await tryFluxBySlug();
-          } catch (e) {
-            if (!modelError) modelError = String(e);
+      async function trySDXLByVersion() {
+        modelTried.push("SDXL(version)");
+        const job = await replicatePredict(
+          process.env.REPLICATE_MODEL_VERSION_SDXL,
+          {
+            prompt: vprompt,
+            negative_prompt: negative,
+            width: undefined,
+            height: undefined,
+            num_inference_steps: 30,
+            guidance_scale: 7.0,
+            scheduler: "DPMSolverMultistep",
+            num_outputs: 1,
           }
-        }
+        );
+        return Array.isArray(job.output) ? job.output[0] : job.output;
+      }
+
+      async function tryFluxBySlug() {
+        modelTried.push("FLUX(slug)");
+        const job = await replicateCreateBySlug(
+          "black-forest-labs/flux-schnell",
+          {
+            prompt: vprompt,
+            aspect_ratio: ratio.replace("-", ":"),
+            num_outputs: 1,
+            output_format: "png",
+            output_quality: 90,
+          }
+        );
+        const done = await pollPredictionByUrl(job?.urls?.get);
+        return Array.isArray(done.output)
+          ? done.output[0]
+          : done.output;
+      }
+
+      try {
+        if (
+          modelKey === "flux" &&
+          process.env.REPLICATE_MODEL_VERSION_FLUX
+        )
+          image_url = await tryFluxByVersion();
+        else if (process.env.REPLICATE_MODEL_VERSION_SDXL)
+          image_url = await trySDXLByVersion();
       } catch (e) {
         modelError = String(e);
       }
+
+      if (!image_url) {
+        if (modelTried.length)
+          jobEvent("fallback", {
+            model: "black-forest-labs/flux-schnell",
+            reason: modelError,
+          });
+        try {
+          image_url = await tryFluxBySlug();
+        } catch (e) {
+          if (!modelError) modelError = String(e);
+        }
+      }
+    } catch (e) {
+      modelError = String(e);
     }
+  }
 
-    return res.json({
-      ok: true,
-      caption: textOnly || !caption ? caption || null : caption,
-      vprompt,
-      image_url,
-      model_used: (modelKey || "default").toUpperCase(),
-      model_tried: modelTried,
-      model_error: image_url ? null : modelError || null,
-      gpt_used: !!gptUsed,
-      length,
-      mode: imageOnly
-        ? "image_only"
-        : textOnly
-        ? "text_only"
-        : "full",
-    });
+  return {
+    ok: true,
+    caption: textOnly || !caption ? caption || null : caption,
+    vprompt,
+    image_url,
+    model_used: (modelKey || "default").toUpperCase(),
+    model_tried: modelTried,
+    model_error: image_url ? null : modelError || null,
+    gpt_used: !!gptUsed,
+    length,
+    mode: imageOnly
+      ? "image_only"
+      : textOnly
+      ? "text_only"
+      : "full",
+  };
+}
+
+app.post("/api/brand-post", guardPaid, jobify(async (req, res) => {
+  try {
+    res.json(await generateBrandPost(readBody(req.body)));
   } catch (e) {
     res
-      .status(500)
+      .status(e.status || 500)
       .json({ ok: false, error: String(e.message || e) });
   }
+}));
+
+/* ====================== CAMPAIGNS (batch brand-post) ====================== */
+// POST /api/brand-post/batch — CSV или JSONL с идеями (файл "file", тело
+// text/csv / application/x-ndjson или поле csv / jsonl / rows в JSON), строка =
+// пост: idea и свои style / ratio / preset / cta / category. Поля тела
+// (или query) — значения по умолчанию для всех строк.
+// Всегда задачей: строки идут через generateBrandPost по CAMPAIGN_CONCURRENCY
+// за раз, в конце — ZIP (images/ + results.csv) и отдельный results.csv.
+// Кредиты — за каждую строку, по которой отдали картинку.
+// Ключ — в X-API-Key или ?key=: тело разбираем только после его проверки.
+
+const CAMPAIGN_CONCURRENCY = Math.max(
+  1,
+  Number(process.env.CAMPAIGN_CONCURRENCY) || 3
+);
+const CAMPAIGN_MAX_ROWS = Number(process.env.CAMPAIGN_MAX_ROWS) || 500;
+const CAMPAIGN_FIELDS = [
+  "idea",
+  "style",
+  "ratio",
+  "preset",
+  "cta",
+  "category",
+  "subcategory",
+  "length",
+  "image_model_hint",
+];
+const CAMPAIGN_COLUMNS = [
+  "row",
+  "idea",
+  "style",
+  "ratio",
+  "preset",
+  "cta",
+  "category",
+  "status",
+  "caption",
+  "vprompt",
+  "image_path",
+  "image_url",
+  "model_used",
+  "credits",
+  "error",
+];
+
+// Строки кампании: [{ idea, style, ... }] или { error }
+function parseCampaignRows(req) {
+  const raw = typeof req.body === "string" ? req.body : null;
+  const body = { ...req.query, ...readBody(raw ? null : req.body) };
+  let items;
+
+  if (Array.isArray(body.rows)) {
+    items = body.rows;
+  } else {
+    const text = req.file
+      ? req.file.buffer.toString("utf8")
+      : raw ?? String(body.csv ?? body.jsonl ?? "");
+    const jsonl =
+      /\.(jsonl|ndjson)$/i.test(req.file?.originalname || "") ||
+      (!req.file && body.jsonl != null) ||
+      /^\s*\{/.test(text);
+
+    if (jsonl) {
+      items = text
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return { error: "bad JSON line" };
+          }
+        });
+    } else {
+      const [header = [], ...rows] = parseCsv(text);
+      const cols = header.map((c) => c.trim().toLowerCase());
+      items = rows.map((cells) =>
+        Object.fromEntries(
+          cols.map((c, i) => [c, cells[i]]).filter(([, v]) => v?.trim())
+        )
+      );
+    }
+  }
+
+  if (!items.length)
+    return { error: "No rows: send a CSV / JSONL file or rows[]" };
+  if (items.length > CAMPAIGN_MAX_ROWS)
+    return { error: `Too many rows (max ${CAMPAIGN_MAX_ROWS})` };
+
+  const defaults = {};
+  for (const f of CAMPAIGN_FIELDS.slice(1))
+    if (body[f] != null && body[f] !== "") defaults[f] = String(body[f]);
+
+  const rows = items.map((item) => {
+    if (!item || typeof item !== "object" || item.error)
+      return { error: item?.error || "bad row" };
+    const row = { ...defaults };
+    for (const f of CAMPAIGN_FIELDS) {
+      const v = f === "idea" ? item.idea ?? item.prompt : item[f];
+      if (v != null && String(v).trim()) row[f] = String(v).trim();
+    }
+    return row;
+  });
+  return { rows };
+}
+
+// Разбираем строки до guardPaid: цена зависит от их числа
+function campaignRows(req, res, next) {
+  const { rows, error } = parseCampaignRows(req);
+  if (error) return res.status(400).json({ ok: false, error });
+  if (!rows.some((r) => r.idea))
+    return res.status(400).json({ ok: false, error: "No rows with 'idea'" });
+  req.campaign = { rows };
+  next();
+}
+
+async function campaignRow(row, n) {
+  const base = {
+    row: n + 1,
+    ok: false,
+    idea: row.idea || null,
+    caption: null,
+    vprompt: null,
+    image_url: null,
+    model: null,
+    error: null,
+  };
+  if (row.error) return { ...base, error: row.error };
+  if (!row.idea) return { ...base, error: "Missing 'idea'" };
+
+  try {
+    const post = await generateBrandPost(row);
+    return {
+      ...base,
+      ok: !!post.image_url,
+      caption: post.caption,
+      vprompt: post.vprompt,
+      image_url: post.image_url || null,
+      model: post.image_url ? post.model_used : null,
+      error: post.image_url ? null : post.model_error || "no image",
+    };
+  } catch (e) {
+    return { ...base, error: String(e.message || e) };
+  }
+}
+
+function campaignImageExt(contentType, url) {
+  const fromType = /image\/(png|jpe?g|webp|gif)/i.exec(contentType || "");
+  if (fromType) return fromType[1].toLowerCase().replace("jpeg", "jpg");
+  const fromUrl = /\.(png|jpe?g|webp|gif)(\?|$)/i.exec(url || "");
+  return fromUrl ? fromUrl[1].toLowerCase() : "png";
+}
+
+// ZIP: images/NNN-idea.ext по удавшимся строкам + results.csv; CSV — ещё и рядом
+async function packCampaign(name, rows, results, perRow) {
+  const zipPath = path.join(UPLOAD_DIR, `${name}.zip`);
+  const out = fs.createWriteStream(zipPath);
+  const archive = archiver("zip", { zlib: { level: 1 } }); // картинки уже сжаты
+  const written = new Promise((resolve, reject) => {
+    out.on("close", resolve);
+    out.on("error", reject);
+    archive.on("error", reject);
+  });
+  archive.pipe(out);
+
+  // качаем по одной: в памяти не больше одной картинки
+  for (const r of results) {
+    if (!r.image_url) continue;
+    try {
+      const resp = await fetch(r.image_url, {
+        signal: AbortSignal.timeout(60e3),
+      });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const buf = Buffer.from(await resp.arrayBuffer());
+      const slug =
+        String(r.idea)
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, "-")
+          .replace(/^-+|-+$/g, "")
+          .slice(0, 40) || "post";
+      const type = resp.headers.get("content-type");
+      const ext = campaignImageExt(type, r.image_url);
+      r.image_path = `images/${String(r.row).padStart(3, "0")}-${slug}.${ext}`;
+      archive.append(buf, { name: r.image_path });
+    } catch (e) {
+      // картинки нет в архиве — строка не удалась и не оплачивается
+      r.ok = false;
+      r.error = `image download failed: ${e.message || e}`;
+    }
+  }
+
+  const csv = toCsv([
+    CAMPAIGN_COLUMNS,
+    ...results.map((r, i) => {
+      const cells = {
+        ...rows[i],
+        ...r,
+        idea: r.idea,
+        status: r.ok ? "ok" : "failed",
+        model_used: r.model,
+        credits: r.ok ? perRow : 0,
+      };
+      return CAMPAIGN_COLUMNS.map((c) => cells[c]);
+    }),
+  ]);
+  fs.writeFileSync(path.join(UPLOAD_DIR, `${name}.csv`), csv);
+  archive.append(csv, { name: "results.csv" });
+
+  await archive.finalize();
+  await written;
+}
+
+// файл кампании — тот же предел, что у текстового тела
+const campaignUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
 });
 
+// ключ и тариф — до приёма файла; цена зависит от числа строк, поэтому
+// удержание (guardPaid) — уже после разбора
+app.post(
+  "/api/brand-post/batch",
+  guardKey,
+  campaignUpload.single("file"),
+  express.text({
+    type: ["text/csv", "text/plain", "application/x-ndjson"],
+    limit: "10mb",
+  }),
+  campaignRows,
+  guardPaid,
+  jobify(async (req, res) => {
+    try {
+      const { rows } = req.campaign;
+      const hold = req.payKey?.hold;
+      const perRow = hold ? hold.credits / hold.units : 0;
+      const results = new Array(rows.length);
+
+      let next = 0;
+      let done = 0;
+      const worker = async () => {
+        while (next < rows.length) {
+          throwIfCanceled(); // отменили — новые строки не начинаем
+          const n = next++;
+          results[n] = await campaignRow(rows[n], n);
+          done++;
+          jobEvent("campaign", {
+            done,
+            total: rows.length,
+            failed: results.filter((r) => r && !r.ok).length,
+          });
+        }
+      };
+      const workers = Math.min(CAMPAIGN_CONCURRENCY, rows.length);
+      await Promise.all(Array.from({ length: workers }, worker));
+
+      const name = `campaign_${crypto.randomBytes(8).toString("hex")}`;
+      await packCampaign(name, rows, results, perRow);
+
+      const succeeded = results.filter((r) => r.ok).length;
+      res.json({
+        ok: true,
+        mode: "campaign",
+        rows: rows.length,
+        succeeded,
+        failed: rows.length - succeeded,
+        zip_url: absUrl(req, `/uploads/${name}.zip`),
+        results_csv_url: absUrl(req, `/uploads/${name}.csv`),
+        batch: results,
+      });
+    } catch (e) {
+      res
+        .status(500)
+        .json({ ok: false, error: String(e.message || e) });
+    }
+  })
+);
+
 /* ====================== IMAGE STUDIO ====================== */
 
-app.post("/api/image-studio", guardPaid, async (req, res) => {
+app.post("/api/image-studio", guardPaid, jobify(async (req, res) => {
   try {
     const DEFAULT_AR = "1:1";
     const DEFAULT_STRENGTH = 0.6;
@@ -1806,10 +7936,14 @@ app.post("/api/image-studio", guardPaid, async (req, res) => {
     const imageUrl = (body.image || "").trim() || null;
     const maskUrl = (body.mask || "").trim() || null;
 
-    const batch_count = Math.max(
-      1,
-      Math.min(8, Number(body.batch_count || 1))
-    );
+    const batch = batchCountOf(body);
+    if (batch.error)
+      return res.status(400).json({
+        ok: false,
+        success: false,
+        error: batch.error,
+      });
+    const batch_count = batch.count;
 
     let anglesRaw = Array.isArray(body.angles) ? body.angles : [];
     const angles = anglesRaw.map((x) => {
@@ -1838,35 +7972,28 @@ app.post("/api/image-studio", guardPaid, async (req, res) => {
     }
 
     async function waitPrediction(id, model, maxMs = 120000) {
-      const started = Date.now();
-      while (true) {
-        if (Date.now() - started > maxMs)
+      let p;
+      try {
+        p = await watchPrediction(`${REPLICATE_API_BASE}/predictions/${id}`, {
+          maxMs,
+          delayMs: 1200,
+          model,
+        });
+      } catch (e) {
+        if (e.message === "Replicate timeout")
           throw new Error(`timeout (${model})`);
+        throw e;
+      }
 
-        const p = await fetchJson(
-          `https://api.replicate.com/v1/predictions/${id}`,
-          {
-            headers: {
-              Authorization: `Token ${process.env.REPLICATE_API_TOKEN}`,
-            },
-          }
-        );
-
-        if (p.status === "succeeded") {
-          const image_url = pickUrl(p.output);
-          if (!image_url) throw new Error(`empty output (${model})`);
-          return image_url;
-        }
-
-        if (p.status === "failed" || p.status === "canceled")
-          throw new Error(
-            `prediction ${p.status} (${model})${
-              p.error ? `: ${p.error}` : ""
-            }`
-          );
-
-        await sleep(1200);
+      if (p.status === "succeeded") {
+        const image_url = pickUrl(p.output);
+        if (!image_url) throw new Error(`empty output (${model})`);
+        return image_url;
       }
+
+      throw new Error(
+        `prediction ${p.status} (${model})${p.error ? `: ${p.error}` : ""}`
+      );
     }
 
     const jitterStrength = (base) => {
@@ -1928,6 +8055,11 @@ app.post("/api/image-studio", guardPaid, async (req, res) => {
 
         const tried = [];
         for (const m of MODELS) {
+          if (tried.length)
+            jobEvent("fallback", {
+              model: m.slug,
+              reason: tried[tried.length - 1].error,
+            });
           try {
             const inputX = m.makeInput({
               image_data,
@@ -2032,11 +8164,11 @@ app.post("/api/image-studio", guardPaid, async (req, res) => {
       .status(502)
       .json({ ok: false, success: false, error: String(e.message || e) });
   }
-});
+}));
 
 /* ====================== VIDEO STUDIO (FINAL) ====================== */
 
-app.post("/api/video-studio", guardPaid, async (req, res) => {
+app.post("/api/video-studio", guardPaid, jobify(async (req, res) => {
   try {
     const body = readBody(req.body);
 
@@ -2050,12 +8182,10 @@ app.post("/api/video-studio", guardPaid, async (req, res) => {
         : "image2video";
 
     // ⏱ сколько просит фронт (2 или 5), а WAN 2.5 принимает ТОЛЬКО 5 или 10
-    const requested = Number(
-      body.video_seconds ?? body.duration_seconds ?? 5
-    );
-    const secSafe = requested <= 5 ? 5 : 10; // 2 → 5, 5 → 5, 8/10 → 10
+    const secSafe = wanSecondsOf("/api/video-studio", body); // 2 → 5, 5 → 5, 8/10 → 10
 
-    let video_url = null;
+    let video_url = null,
+      model_used = null;
 
     /* ================= IMAGE → VIDEO (WAN 2.5) ================= */
     if (mode === "image2video") {
@@ -2103,6 +8233,7 @@ app.post("/api/video-studio", guardPaid, async (req, res) => {
         const got = Array.isArray(out) ? out[0] : out;
         if (!got) throw new Error("No output from WAN 2.5");
         video_url = got;
+        model_used = fallbackSlug;
       } catch (e) {
         console.error("WAN 2.5 ERROR:", e?.response?.data || e);
         return res.json({
@@ -2129,6 +8260,7 @@ app.post("/api/video-studio", guardPaid, async (req, res) => {
     return res.json({
       ok: true,
       video_url,
+      model_used,
       seconds: secSafe, // чтобы фронт знал 5 или 10 мы отдали
     });
   } catch (e) {
@@ -2137,11 +8269,11 @@ app.post("/api/video-studio", guardPaid, async (req, res) => {
       .status(500)
       .json({ ok: false, error: String(e.message || e) });
   }
-});
+}));
 
 /* ====================== VIDEO REELS ====================== */
 
-app.post("/api/video-reels", guardPaid, async (req, res) => {
+app.post("/api/video-reels", guardPaid, jobify(async (req, res) => {
   try {
     const body = readBody(req.body);
 
@@ -2187,10 +8319,7 @@ app.post("/api/video-reels", guardPaid, async (req, res) => {
         ""
     ).trim();
 
-    const requestedSeconds =
-      body.video_seconds ?? body.duration_seconds ?? 5;
-    const wanSeconds =
-      parseInt(requestedSeconds || 5, 10) <= 5 ? 5 : 10;
+    const wanSeconds = wanSecondsOf("/api/video-reels", body);
 
     const wanSize = ((r) =>
       r === "9:16"
@@ -2219,7 +8348,8 @@ app.post("/api/video-reels", guardPaid, async (req, res) => {
 
     let caption = null,
       vprompt = null,
-      gptUsed = false;
+      gptUsed = false,
+      model_used = null;
 
     if (!image_only) {
       const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
@@ -2298,6 +8428,9 @@ https://hi-ai.ai #ai #automation #creativity`.slice(0, maxChars);
       }
     }
 
+    if (caption)
+      jobEvent("caption", { source: gptUsed ? "gpt" : "template", caption });
+
     if (text_only) {
       return res.json({
         ok: true,
@@ -2337,10 +8470,13 @@ https://hi-ai.ai #ai #automation #creativity`.slice(0, maxChars);
               : Array.isArray(out)
               ? out[0]
               : null;
+          if (video_url) model_used = videoSlug;
         } catch {}
       }
 
       if (!video_url && process.env.REPLICATE_MODEL_VERSION_VIDEO) {
+        if (videoSlug)
+          jobEvent("fallback", { model: "VIDEO(version)", reason: "no video" });
         try {
           const job = await replicatePredict(
             process.env.REPLICATE_MODEL_VERSION_VIDEO,
@@ -2360,6 +8496,7 @@ https://hi-ai.ai #ai #automation #creativity`.slice(0, maxChars);
               : Array.isArray(out)
               ? out[0]
               : null;
+          if (video_url) model_used = "VIDEO(version)";
         } catch {}
       }
 
@@ -2377,6 +8514,7 @@ https://hi-ai.ai #ai #automation #creativity`.slice(0, maxChars);
         video_url,
         image_url: null,
         gpt_used: !!gptUsed,
+        model_used,
         ratio,
         seconds: wanSeconds,
         size_used: wanSize,
@@ -2419,6 +8557,7 @@ https://hi-ai.ai #ai #automation #creativity`.slice(0, maxChars);
               : typeof outI === "string"
               ? outI
               : null;
+          if (image_url) model_used = imageModelKey.toUpperCase();
         } catch {}
       }
 
@@ -2429,6 +8568,7 @@ https://hi-ai.ai #ai #automation #creativity`.slice(0, maxChars);
         video_url: null,
         image_url: image_url || null,
         gpt_used: !!gptUsed,
+        model_used,
         ratio,
         seconds: wanSeconds,
         size_used: wanSize,
@@ -2460,10 +8600,13 @@ https://hi-ai.ai #ai #automation #creativity`.slice(0, maxChars);
             : Array.isArray(out)
             ? out[0]
             : null;
+        if (video_url) model_used = videoSlug;
       } catch {}
     }
 
     if (!video_url && process.env.REPLICATE_MODEL_VERSION_VIDEO) {
+      if (videoSlug)
+        jobEvent("fallback", { model: "VIDEO(version)", reason: "no video" });
       try {
         const job = await replicatePredict(
           process.env.REPLICATE_MODEL_VERSION_VIDEO,
@@ -2483,10 +8626,15 @@ https://hi-ai.ai #ai #automation #creativity`.slice(0, maxChars);
             : Array.isArray(out)
             ? out[0]
             : null;
+        if (video_url) model_used = "VIDEO(version)";
       } catch {}
     }
 
     if (!video_url && opts.image !== false) {
+      jobEvent("fallback", {
+        model: imageModelKey.toUpperCase(),
+        reason: "no video — image instead",
+      });
       const versionImg =
         imageModelKey === "flux"
           ? process.env.REPLICATE_MODEL_VERSION_FLUX
@@ -2520,6 +8668,7 @@ https://hi-ai.ai #ai #automation #creativity`.slice(0, maxChars);
               : typeof outI === "string"
               ? outI
               : null;
+          if (image_url) model_used = imageModelKey.toUpperCase();
         } catch {}
       }
     }
@@ -2531,6 +8680,7 @@ https://hi-ai.ai #ai #automation #creativity`.slice(0, maxChars);
       video_url: video_url || null,
       image_url: image_url || null,
       gpt_used: !!gptUsed,
+      model_used,
       ratio,
       seconds: wanSeconds,
       size_used: wanSize,
@@ -2545,12 +8695,18 @@ https://hi-ai.ai #ai #automation #creativity`.slice(0, maxChars);
       .status(500)
       .json({ ok: false, error: String(e.message || e) });
   }
-});
+}));
 
 /* ====================== START ====================== */
 
 const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => console.log(`HI-AI backend on :${PORT}`));
+const recovered = recoverJobs();
+
+app.listen(PORT, async () => {
+  console.log(`HI-AI backend on :${PORT}`);
+  await initReplicateWebhooks();
+  resumeJobs(recovered); // после вебхуков: досматриваемые предсказания тоже ждём по ним
+});
 
 
 
@@ -0,0 +1,96 @@
+// Админ-аккаунты: вход, роли, API-токены и блокировка перебора
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { adminHeaders, startServer } from "./helpers.js";
+
+test("роли: support сбрасывает, но не ротирует; viewer только смотрит", async (t) => {
+  const srv = await startServer({ keys: { ROLEKEY: { max: 10, used: 4 } } });
+  t.after(() => srv.stop());
+
+  const anon = await srv.request("/api/admin/keys");
+  assert.equal(anon.status, 401);
+
+  const owner = await adminHeaders(srv);
+  for (const [username, role] of [
+    ["helper", "support"],
+    ["watcher", "viewer"],
+  ]) {
+    const created = await srv.request("/api/admin/admins", {
+      headers: owner,
+      body: { username, role, password: `${username}-password` },
+    });
+    assert.equal(created.status, 200);
+  }
+
+  const support = await adminHeaders(srv, {
+    username: "helper",
+    password: "helper-password",
+  });
+  const reset = await srv.request("/api/admin/keys/reset", {
+    headers: support,
+    body: { key: "ROLEKEY" },
+  });
+  assert.equal(reset.status, 200);
+  const rotate = await srv.request("/api/admin/keys/rotate", {
+    headers: support,
+    body: { key: "ROLEKEY" },
+  });
+  assert.equal(rotate.status, 403);
+  assert.equal(rotate.body.error, "requires owner role");
+
+  const viewer = await adminHeaders(srv, {
+    username: "watcher",
+    password: "watcher-password",
+  });
+  const list = await srv.request("/api/admin/keys", { headers: viewer });
+  assert.equal(list.status, 200);
+  const viewerReset = await srv.request("/api/admin/keys/reset", {
+    headers: viewer,
+    body: { key: "ROLEKEY" },
+  });
+  assert.equal(viewerReset.status, 403);
+
+  // заблокированный админ теряет и текущую сессию
+  await srv.request("/api/admin/admins/update", {
+    headers: owner,
+    body: { username: "helper", disabled: true },
+  });
+  const after = await srv.request("/api/admin/me", { headers: support });
+  assert.equal(after.status, 401);
+});
+
+test("API-токен действует с ролью автора до отзыва", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  const owner = await adminHeaders(srv);
+  const issued = await srv.request("/api/admin/tokens", {
+    headers: owner,
+    body: { name: "ci" },
+  });
+  assert.equal(issued.status, 200);
+  const bearer = { Authorization: `Bearer ${issued.body.token}` };
+
+  const me = await srv.request("/api/admin/me", { headers: bearer });
+  assert.deepEqual([me.body.role, me.body.via], ["owner", "api"]);
+
+  await srv.request("/api/admin/tokens/revoke", {
+    headers: owner,
+    body: { token_id: issued.body.token_id },
+  });
+  const revoked = await srv.request("/api/admin/me", { headers: bearer });
+  assert.equal(revoked.status, 401);
+});
+
+test("после 5 неверных паролей вход закрыт", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  for (let i = 0; i < 5; i++) {
+    const bad = await srv.request("/api/admin/login", {
+      body: { username: "admin", password: "wrong" },
+    });
+    assert.equal(bad.status, 401);
+  }
+  await assert.rejects(adminHeaders(srv), /429/);
+});
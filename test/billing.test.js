@@ -0,0 +1,81 @@
+// Удержание кредитов и возвраты: что считается отданным ассетом и что
+// происходит с кредитами, когда генерация не удалась
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { deliveredAssets, earnedCredits } from "../lib/pricing.js";
+import { startServer } from "./helpers.js";
+
+const hold = (route, mode, credits, units = 1) => ({
+  route,
+  mode,
+  credits,
+  units,
+});
+
+test("ассет: картинка, видео, файл; подпись — только для text_only", () => {
+  assert.equal(deliveredAssets({ ok: true, image_url: "https://x/1.png" }), 1);
+  assert.equal(deliveredAssets({ ok: true, video_url: "https://x/1.mp4" }), 1);
+  assert.equal(deliveredAssets({ ok: false, image_url: "https://x/1.png" }), 0);
+  assert.equal(deliveredAssets({ ok: true, image_url: null }), 0);
+
+  const caption = { ok: true, caption: "text", image_url: null };
+  assert.equal(deliveredAssets(caption, "text_only"), 1);
+  assert.equal(deliveredAssets(caption, "full"), 0);
+});
+
+test("earnedCredits: без ассета — ноль, батч — по удавшимся кадрам", () => {
+  const full = hold("/api/brand-post", "full", 2);
+  assert.equal(earnedCredits(full, { ok: true, caption: "x" }), 0);
+  assert.equal(earnedCredits(full, { ok: true, image_url: "https://x" }), 2);
+
+  const text = hold("/api/brand-post", "text_only", 1);
+  assert.equal(earnedCredits(text, { ok: true, caption: "x" }), 1);
+
+  const batch = hold("/api/image-studio", "image", 8, 4);
+  const payload = {
+    ok: true,
+    batch: [
+      { ok: true, image_url: "https://x/1.png" },
+      { ok: false, error: "failed" },
+      { ok: true, image_url: "https://x/3.png" },
+      { ok: true, image_url: null },
+    ],
+  };
+  assert.equal(earnedCredits(batch, payload), 4);
+});
+
+test("earnedCredits: reels упал на картинку — цена картинки", () => {
+  const reels = hold("/api/video-reels", "video_10s", 10);
+  const payload = {
+    ok: true,
+    mode: "image_fallback",
+    image_url: "https://x/1.png",
+  };
+  assert.equal(earnedCredits(reels, payload), 2);
+});
+
+test("неудавшийся вызов возвращает кредиты и пишет возврат", async (t) => {
+  const srv = await startServer({ keys: { HOLD10: { max: 10, used: 0 } } });
+  t.after(() => srv.stop());
+
+  // без REPLICATE_API_TOKEN WAN отвечает { ok:false, error } — ассета нет
+  const video = await srv.request("/api/video-studio", {
+    key: "HOLD10",
+    body: { prompt: "x", video_seconds: 5 },
+  });
+  assert.equal(video.body.ok, false);
+
+  const check = await srv.request("/api/key-check", { key: "HOLD10" });
+  assert.equal(check.body.used, 0);
+
+  const refunds = fs
+    .readFileSync(path.join(srv.dir, "data", "refunds.jsonl"), "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].route, "/api/video-studio");
+  assert.equal(refunds[0].refunded, 5);
+});
@@ -0,0 +1,171 @@
+// Общие фикстуры тестов: поддельный req для чистых функций из lib/ и
+// настоящий server.js в отдельном процессе со своим временным каталогом
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const START_TIMEOUT_MS = 15000;
+export const ADMIN_USER = "admin";
+export const ADMIN_PASSWORD = "test-admin-password";
+
+export function fakeReq(route, body = {}, headers = {}) {
+  const lower = Object.fromEntries(
+    Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])
+  );
+  return {
+    path: route,
+    body,
+    query: {},
+    header: (name) => lower[name.toLowerCase()],
+  };
+}
+
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+export function tempDir(prefix = "hiai-test-") {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+// Запускает `node <script>` и ждёт строку `ready` в stdout
+async function spawnNode(script, { cwd, env, ready }) {
+  const child = spawn(process.execPath, [path.join(ROOT, script)], {
+    cwd,
+    env: {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  const collect = (chunk) => {
+    output += chunk;
+  };
+  child.stdout.on("data", collect);
+  child.stderr.on("data", collect);
+
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      reject(new Error(`${script} did not start:\n${output}`));
+    }, START_TIMEOUT_MS);
+    const check = () => {
+      if (!output.includes(ready)) return;
+      clearTimeout(timer);
+      child.stdout.off("data", check);
+      resolve();
+    };
+    child.stdout.on("data", check);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`${script} exited with ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    child,
+    log: () => output,
+    // по умолчанию — как обычная остановка; SIGKILL — «упал посреди работы»
+    async stop(signal = "SIGTERM") {
+      if (child.exitCode === null && child.signalCode === null)
+        child.kill(signal);
+      await exited;
+    },
+  };
+}
+
+// server.js в каталоге dir (или новом временном). keys — содержимое
+// public/uploads/keys.json (старый формат, его подхватывает и миграция).
+export async function startServer({ dir, keys, env = {} } = {}) {
+  dir = dir || tempDir();
+  const uploads = path.join(dir, "public", "uploads");
+  fs.mkdirSync(uploads, { recursive: true });
+  if (keys)
+    fs.writeFileSync(
+      path.join(uploads, "keys.json"),
+      JSON.stringify(keys, null, 2)
+    );
+
+  const port = await freePort();
+  const proc = await spawnNode("server.js", {
+    cwd: dir,
+    env: {
+      PORT: String(port),
+      PAYWALL_ENABLED: "true",
+      ADMIN_USER,
+      ADMIN_PASSWORD,
+      ...env,
+    },
+    ready: "HI-AI backend on",
+  });
+  const url = `http://127.0.0.1:${port}`;
+
+  return { ...proc, dir, url, request: (p, opts) => request(url + p, opts) };
+}
+
+// scripts/fake-replicate.js на свободном порту; apiBase — для REPLICATE_API_BASE
+export async function startFakeReplicate(env = {}) {
+  const port = await freePort();
+  const proc = await spawnNode("scripts/fake-replicate.js", {
+    cwd: ROOT,
+    env: { FAKE_REPLICATE_PORT: String(port), ...env },
+    ready: "[fake-replicate] http",
+  });
+  return { ...proc, apiBase: `http://127.0.0.1:${port}/v1` };
+}
+
+// Входит в панель и возвращает заголовки админ-запросов (cookie сессии).
+// По умолчанию — owner, созданный из env при старте
+export async function adminHeaders(
+  srv,
+  { username = ADMIN_USER, password = ADMIN_PASSWORD } = {}
+) {
+  const res = await fetch(srv.url + "/api/admin/login", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+  if (res.status !== 200)
+    throw new Error(`admin login failed: ${res.status} ${await res.text()}`);
+  const cookie = res.headers.getSetCookie().map((c) => c.split(";")[0]);
+  return { Cookie: cookie.join("; ") };
+}
+
+// fetch + разбор ответа: { status, headers, body }
+export async function request(url, { method, body, headers = {}, key } = {}) {
+  const init = { method: method || (body === undefined ? "GET" : "POST") };
+  init.headers = { ...headers };
+  if (key) init.headers["X-API-Key"] = key;
+  if (body !== undefined) {
+    if (typeof body === "string" || body instanceof FormData) init.body = body;
+    else {
+      init.body = JSON.stringify(body);
+      init.headers["Content-Type"] = "application/json";
+    }
+  }
+
+  const res = await fetch(url, init);
+  const text = await res.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {}
+  return { status: res.status, headers: res.headers, body: parsed };
+}
@@ -0,0 +1,69 @@
+// Idempotency-Key: повтор не списывает кредиты и не зовёт модель заново
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeReplicate, startServer } from "./helpers.js";
+
+const video = { image_url: "https://example.com/x.png", video_seconds: 5 };
+
+async function withFakeReplicate(t, options = {}) {
+  const fake = await startFakeReplicate({ FAKE_RUN_MS: "300" });
+  t.after(() => fake.stop());
+  const srv = await startServer({
+    ...options,
+    env: {
+      REPLICATE_API_BASE: fake.apiBase,
+      REPLICATE_API_TOKEN: "fake",
+      REPLICATE_MODEL_SLUG_I2V_HD: "fake/wan-i2v",
+      ...options.env,
+    },
+  });
+  t.after(() => srv.stop());
+  return srv;
+}
+
+test("повтор отдаёт сохранённый ответ без второго списания", async (t) => {
+  const srv = await withFakeReplicate(t, { keys: { IDEM: { max: 20 } } });
+  const send = (body, value = "order-1") =>
+    srv.request("/api/video-studio", {
+      key: "IDEM",
+      headers: { "Idempotency-Key": value },
+      body,
+    });
+
+  const first = await send(video);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.ok, true);
+
+  const again = await send(video);
+  assert.equal(again.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(again.body, first.body);
+
+  const check = await srv.request("/api/key-check", { key: "IDEM" });
+  assert.equal(check.body.used, 5);
+
+  const changed = await send({ ...video, video_seconds: 10 });
+  assert.equal(changed.status, 422);
+
+  const bad = await send(video, "x".repeat(256));
+  assert.equal(bad.status, 400);
+});
+
+test("без paywall Idempotency-Key тоже действует", async (t) => {
+  const srv = await withFakeReplicate(t, {
+    env: { PAYWALL_ENABLED: "false" },
+  });
+  const send = (body) =>
+    srv.request("/api/video-studio", {
+      headers: { "Idempotency-Key": "free-1" },
+      body,
+    });
+
+  const first = await send(video);
+  assert.equal(first.body.ok, true);
+  const again = await send(video);
+  assert.equal(again.headers.get("idempotent-replayed"), "true");
+  assert.equal(again.body.video_url, first.body.video_url);
+
+  const changed = await send({ ...video, prompt: "other" });
+  assert.equal(changed.status, 422);
+});
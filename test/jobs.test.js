@@ -0,0 +1,58 @@
+// Фоновые задачи: открыть задачу можно только своим ключом или её токеном
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+// без REPLICATE_API_TOKEN задача быстро завершается с { ok:false }
+const startJob = (srv, opts) =>
+  srv.request("/api/video-studio?async=1", {
+    ...opts,
+    body: { prompt: "x", video_seconds: 5 },
+  });
+
+test("без paywall задачу открывает только её токен", async (t) => {
+  const srv = await startServer({ env: { PAYWALL_ENABLED: "false" } });
+  t.after(() => srv.stop());
+
+  const started = await startJob(srv);
+  assert.equal(started.status, 202);
+  const { job_id, job_token, status_url } = started.body;
+  assert.match(job_token, /^[0-9a-f]{32}$/);
+
+  const anon = await srv.request(status_url);
+  assert.equal(anon.status, 404);
+
+  const wrong = await srv.request(status_url, {
+    headers: { "X-Job-Token": "0".repeat(32) },
+  });
+  assert.equal(wrong.status, 404);
+
+  const byHeader = await srv.request(status_url, {
+    headers: { "X-Job-Token": job_token },
+  });
+  assert.equal(byHeader.status, 200);
+  assert.equal(byHeader.body.id, job_id);
+
+  const byQuery = await srv.request(`${status_url}?token=${job_token}`);
+  assert.equal(byQuery.status, 200);
+});
+
+test("задачу с ключом видит тот же ключ, но не чужой", async (t) => {
+  const srv = await startServer({
+    keys: { OWNER: { max: 50 }, OTHER: { max: 50 } },
+  });
+  t.after(() => srv.stop());
+
+  const started = await startJob(srv, { key: "OWNER" });
+  assert.equal(started.status, 202);
+  const { status_url, job_token } = started.body;
+
+  const own = await srv.request(status_url, { key: "OWNER" });
+  assert.equal(own.status, 200);
+  const other = await srv.request(status_url, { key: "OTHER" });
+  assert.equal(other.status, 404);
+  const token = await srv.request(status_url, {
+    headers: { "X-Job-Token": job_token },
+  });
+  assert.equal(token.status, 200);
+});
@@ -0,0 +1,94 @@
+// Ключи в сторе — только солёные хэши; ротация со льготным периодом
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { adminHeaders, startServer, tempDir } from "./helpers.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const storeText = (srv) =>
+  ["store.json", "store.json.journal"]
+    .map((f) => path.join(srv.dir, "data", f))
+    .filter((f) => fs.existsSync(f))
+    .map((f) => fs.readFileSync(f, "utf8"))
+    .join("\n");
+const keyStatus = async (srv, key) =>
+  (await srv.request("/api/key-check", { key })).status;
+
+test("keys.json → хэши: сырых ключей нет ни в сторе, ни в логе", async (t) => {
+  const raw = "CREATOR-SECRET-7f3a9c";
+  const srv = await startServer({ keys: { [raw]: { max: 50, used: 4 } } });
+  t.after(() => srv.stop());
+
+  const check = await srv.request("/api/key-check", { key: raw });
+  assert.equal(check.status, 200);
+  assert.equal(check.body.used, 4);
+
+  await srv.stop(); // снапшот дописан, журнал обрезан
+  assert.ok(!storeText(srv).includes(raw));
+  assert.ok(!srv.log().includes(raw));
+  assert.match(srv.log(), /CREATOR-…/);
+});
+
+test("ротация: старый ключ живёт только льготный период", async (t) => {
+  const srv = await startServer({ keys: { "PRO-OLD-123456": { max: 10 } } });
+  t.after(() => srv.stop());
+  const headers = await adminHeaders(srv);
+
+  const rotated = await srv.request("/api/admin/keys/rotate", {
+    headers,
+    body: { key: "PRO-OLD-123456", grace: "0.0005h" }, // 1,8 с
+  });
+  assert.equal(rotated.status, 200);
+  assert.ok(rotated.body.old_valid_until);
+
+  const fresh = rotated.body.key;
+  assert.equal(await keyStatus(srv, fresh), 200);
+  assert.equal(await keyStatus(srv, "PRO-OLD-123456"), 200);
+
+  await sleep(2000);
+  assert.equal(await keyStatus(srv, "PRO-OLD-123456"), 402);
+  assert.equal(await keyStatus(srv, fresh), 200);
+
+  // grace "0" — старый секрет перестаёт работать сразу
+  const again = await srv.request("/api/admin/keys/rotate", {
+    headers,
+    body: { key: fresh, grace: "0" },
+  });
+  assert.equal(again.status, 200);
+  assert.equal(await keyStatus(srv, fresh), 402);
+});
+
+test("не захэшированный ключ не удаляется, а попадает в лог", async (t) => {
+  const pepper = "test-pepper";
+  const raw = "DUP-KEY-000111";
+  const lookup = crypto
+    .createHmac("sha256", pepper)
+    .update(raw)
+    .digest("hex")
+    .slice(0, 32);
+
+  // такой ключ уже лежит в хэшах (lookup занят), а рядом — его сырая копия
+  const dir = tempDir();
+  fs.mkdirSync(path.join(dir, "data"));
+  const ops = [
+    ["put", "meta", "legacy_keys_migrated", { at: "2025-01-01T00:00:00Z" }],
+    ["put", "key_lookup", lookup, { id: "k_taken", generation: "current" }],
+    ["put", "keys", raw, { max: 5, used: 1, plan: "pro" }],
+  ];
+  fs.writeFileSync(
+    path.join(dir, "data", "store.json.journal"),
+    JSON.stringify({ ts: Date.now(), ops }) + "\n"
+  );
+
+  const srv = await startServer({ dir, env: { KEY_HASH_PEPPER: pepper } });
+  t.after(() => srv.stop());
+
+  assert.match(srv.log(), /1 plain keys NOT hashed/);
+  assert.ok(!srv.log().includes(raw));
+  const snapshot = JSON.parse(
+    fs.readFileSync(path.join(dir, "data", "store.json"), "utf8")
+  );
+  assert.deepEqual(snapshot.data.keys[raw], { max: 5, used: 1, plan: "pro" });
+});
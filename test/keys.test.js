@@ -0,0 +1,66 @@
+// Срок действия ключей (valid_from / expires_at) и поля нового ключа
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { adminHeaders, startServer } from "./helpers.js";
+
+const DAY = 24 * 3600 * 1000;
+const iso = (ms) => new Date(Date.now() + ms).toISOString();
+
+test("истёкший и ещё не начавшийся ключ не пускают", async (t) => {
+  const srv = await startServer({
+    keys: {
+      OLD: { max: 10, used: 0, expires_at: iso(-DAY) },
+      SOON: { max: 10, used: 0, valid_from: iso(DAY) },
+      LIVE: { max: 10, used: 0, expires_at: iso(DAY) },
+    },
+  });
+  t.after(() => srv.stop());
+
+  const old = await srv.request("/api/key-check", { key: "OLD" });
+  assert.equal(old.status, 402);
+  assert.equal(old.body.error, "key expired");
+
+  const soon = await srv.request("/api/key-check", { key: "SOON" });
+  assert.equal(soon.status, 402);
+  assert.equal(soon.body.error, "key not yet valid");
+
+  const paid = await srv.request("/api/brand-post", {
+    key: "OLD",
+    body: { idea: "x", text_only: true },
+  });
+  assert.equal(paid.status, 402);
+  assert.equal(paid.body.error, "key expired");
+
+  const live = await srv.request("/api/key-check", { key: "LIVE" });
+  assert.equal(live.status, 200);
+  assert.ok(live.body.expires_at);
+});
+
+test("new-key: duration задаёт expires_at, негодный лимит — 400", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const headers = await adminHeaders(srv);
+
+  const created = await srv.request("/api/admin/new-key", {
+    headers,
+    body: { limit: 10, duration: "30d" },
+  });
+  assert.equal(created.status, 200);
+  const expires = Date.parse(created.body.expires_at) - Date.now();
+  assert.ok(Math.abs(expires - 30 * DAY) < 60e3);
+
+  for (const limit of [-100, "abc"]) {
+    const bad = await srv.request("/api/admin/new-key", {
+      headers,
+      body: { limit },
+    });
+    assert.equal(bad.status, 400, `limit=${limit}`);
+    assert.match(bad.body.error, /Bad limit/);
+  }
+
+  const badDuration = await srv.request("/api/admin/new-key", {
+    headers,
+    body: { limit: 10, duration: "soon" },
+  });
+  assert.equal(badDuration.status, 400);
+});
@@ -0,0 +1,54 @@
+// Организации: ключи сотрудников тратят общий пул, возврат идёт и в пул
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { adminHeaders, startServer } from "./helpers.js";
+
+test("пул организации ограничивает ключи сотрудников", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const headers = await adminHeaders(srv);
+
+  const org = await srv.request("/api/admin/orgs", {
+    headers,
+    body: { name: "Acme", limit: 4, plan: "pro" },
+  });
+  assert.equal(org.status, 200);
+  const orgId = org.body.org.id;
+
+  const member = async (limit) => {
+    const res = await srv.request("/api/admin/new-key", {
+      headers,
+      body: { org: orgId, limit },
+    });
+    assert.equal(res.status, 200);
+    return res.body.key;
+  };
+  const shared = await member(0); // только пул
+  const capped = await member(1); // личный потолок 1
+
+  const check = await srv.request("/api/key-check", { key: shared });
+  assert.equal(check.body.remaining, 4);
+  assert.equal(check.body.plan, "pro");
+  const cappedCheck = await srv.request("/api/key-check", { key: capped });
+  assert.equal(cappedCheck.body.remaining, 1);
+
+  // видео 5 кредитов — в пуле 4
+  const video = await srv.request("/api/video-studio", {
+    key: shared,
+    body: { prompt: "x", video_seconds: 5 },
+  });
+  assert.equal(video.status, 402);
+  assert.equal(video.body.error, "organization credits exhausted");
+
+  // картинка 2 кредита удерживается из пула, без REPLICATE_API_TOKEN —
+  // ошибка, и кредиты возвращаются и ключу, и пулу
+  const image = await srv.request("/api/image-studio", {
+    key: shared,
+    body: { prompt: "x" },
+  });
+  assert.ok(image.status >= 400);
+
+  const orgs = await srv.request("/api/admin/orgs", { headers });
+  const pool = orgs.body.orgs.find((o) => o.id === orgId);
+  assert.deepEqual([pool.used, pool.refunded, pool.members], [0, 2, 2]);
+});
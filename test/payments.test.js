@@ -0,0 +1,118 @@
+// Пополнения: fake-платёжка только явно, повтор вебхука не начисляет дважды
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { startServer } from "./helpers.js";
+
+const SECRET = "fake-payments-test-secret";
+const DAY = 24 * 3600 * 1000;
+
+function signed(event) {
+  const body = JSON.stringify(event);
+  const t = Math.floor(Date.now() / 1000);
+  const v1 = crypto
+    .createHmac("sha256", SECRET)
+    .update(`${t}.${body}`)
+    .digest("hex");
+  return {
+    body,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Fake-Signature": `t=${t},v1=${v1}`,
+    },
+  };
+}
+
+test("без PAYMENT_PROVIDER пополнения выключены", async (t) => {
+  const srv = await startServer({ keys: { TOPME: { max: 10 } } });
+  t.after(() => srv.stop());
+
+  const co = await srv.request("/api/billing/checkout", {
+    key: "TOPME",
+    body: { package: "small" },
+  });
+  assert.equal(co.status, 503);
+
+  const hook = await srv.request("/api/billing/webhook/fake", signed({}));
+  assert.equal(hook.status, 404);
+});
+
+test("fake в production не включается", async (t) => {
+  const srv = await startServer({
+    keys: { TOPME: { max: 10 } },
+    env: { PAYMENT_PROVIDER: "fake", NODE_ENV: "production" },
+  });
+  t.after(() => srv.stop());
+
+  const co = await srv.request("/api/billing/checkout", {
+    key: "TOPME",
+    body: { package: "small" },
+  });
+  assert.equal(co.status, 503);
+});
+
+test("оплата начисляет кредиты один раз на событие", async (t) => {
+  const srv = await startServer({
+    keys: {
+      TOPME: { max: 10 },
+      GONE: { max: 10, expires_at: new Date(Date.now() - DAY).toISOString() },
+    },
+    env: {
+      PAYMENT_PROVIDER: "fake",
+      FAKE_PAYMENTS_SECRET: SECRET,
+      TOPUP_PACKAGES: JSON.stringify({ small: { name: "<b>100</b>" } }),
+    },
+  });
+  t.after(() => srv.stop());
+
+  const co = await srv.request("/api/billing/checkout", {
+    key: "TOPME",
+    body: { package: "small", cancel_url: "javascript:alert(1)" },
+  });
+  assert.equal(co.status, 200);
+
+  // страница fake-оплаты: поля экранированы, ссылка отмены — не javascript:
+  const page = await fetch(co.body.url).then((r) => r.text());
+  assert.ok(page.includes("&lt;b&gt;100&lt;/b&gt;"));
+  assert.ok(!page.includes("javascript:"));
+
+  const session = co.body.url.split("/").pop();
+  const event = {
+    id: "evt_once",
+    type: "payment.succeeded",
+    session_id: session,
+    checkout_id: co.body.checkout_id,
+    amount: co.body.amount,
+    currency: co.body.currency,
+  };
+  const first = await srv.request(
+    "/api/billing/webhook/fake",
+    signed(event)
+  );
+  assert.deepEqual(
+    [first.status, first.body.result, first.body.duplicate],
+    [200, "credited", false]
+  );
+  const again = await srv.request(
+    "/api/billing/webhook/fake",
+    signed(event)
+  );
+  assert.deepEqual([again.status, again.body.duplicate], [200, true]);
+
+  const check = await srv.request("/api/key-check", { key: "TOPME" });
+  assert.equal(check.body.limit, 110);
+
+  const forged = await srv.request("/api/billing/webhook/fake", {
+    ...signed({ ...event, id: "evt_forged" }),
+    headers: { "Content-Type": "application/json", "X-Fake-Signature": "t=1,v1=00" },
+  });
+  assert.equal(forged.status, 400);
+
+  // истёкший ключ не пополняем
+  const expired = await srv.request("/api/billing/checkout", {
+    key: "GONE",
+    body: { package: "small" },
+  });
+  assert.equal(expired.status, 402);
+  assert.equal(expired.body.error, "key expired");
+});
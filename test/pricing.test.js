@@ -0,0 +1,110 @@
+// Цены в кредитах: lib/pricing.js и списание в guardPaid
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { priceRequest, wanSecondsOf } from "../lib/pricing.js";
+import { fakeReq, startServer } from "./helpers.js";
+
+const price = (route, body, headers) =>
+  priceRequest(fakeReq(route, body, headers), body);
+
+test("цена по роуту и режиму", () => {
+  const text = price("/api/brand-post", { idea: "x", text_only: true });
+  assert.equal(text.credits, 1);
+  assert.equal(price("/api/brand-post", { idea: "x" }).credits, 2);
+
+  const studio = price("/api/image-studio", { prompt: "x", batch_count: 3 });
+  assert.deepEqual(
+    [studio.mode, studio.units, studio.credits],
+    ["image", 3, 6]
+  );
+
+  const reels = price("/api/video-reels", { idea: "x", video_seconds: 8 });
+  assert.deepEqual([reels.mode, reels.credits], ["video_10s", 10]);
+
+  const textReels = price(
+    "/api/video-reels",
+    { idea: "x" },
+    { "X-Text-Only": "1" }
+  );
+  assert.equal(textReels.credits, 1);
+
+  assert.equal(price("/api/trim25", {}).credits, 1);
+});
+
+test("add_object рисуется на фронте — бесплатно", () => {
+  const p = price("/api/image-studio", {
+    action: "add_object",
+    batch_count: 2,
+  });
+  assert.deepEqual([p.mode, p.credits], ["add_object", 0]);
+});
+
+test("кампания: платим за строки с идеей", () => {
+  const req = fakeReq("/api/brand-post/batch");
+  req.campaign = { rows: [{ idea: "a" }, { idea: "" }, { idea: "b" }] };
+  const p = priceRequest(req, {});
+  assert.deepEqual([p.mode, p.units, p.rows, p.credits], ["row", 2, 2, 4]);
+});
+
+test("негодный batch_count — ошибка, а не NaN", () => {
+  for (const batch_count of ["x", 0, 9, 2.5, "-1", {}]) {
+    const p = price("/api/image-studio", { batch_count });
+    assert.match(p.error, /batch_count/, `batch_count=${batch_count}`);
+    assert.equal(p.credits, undefined);
+  }
+  assert.equal(price("/api/image-studio", { batch_count: "4" }).units, 4);
+});
+
+test("длительность WAN разбираем как сам роут", () => {
+  const studio = (video_seconds) =>
+    wanSecondsOf("/api/video-studio", { video_seconds });
+  const reels = (video_seconds) =>
+    wanSecondsOf("/api/video-reels", { video_seconds });
+
+  assert.equal(studio(2), 5);
+  assert.equal(studio("5"), 5);
+  assert.equal(studio(8), 10);
+  // Number: "5.5" и "5s" — не 5 секунд
+  assert.equal(studio("5.5"), 10);
+  assert.equal(studio("5s"), 10);
+  // reels исторически через parseInt
+  assert.equal(reels("5s"), 5);
+  assert.equal(reels(0), 5);
+});
+
+test("guardPaid: цена в ответах, отказ без нужных кредитов", async (t) => {
+  const srv = await startServer({
+    keys: { SMALL: { max: 3, used: 0 } },
+  });
+  t.after(() => srv.stop());
+
+  const check = await srv.request("/api/key-check", { key: "SMALL" });
+  assert.equal(check.status, 200);
+  assert.equal(check.body.unit, "credits");
+  assert.equal(check.body.prices["/api/video-studio"].video_10s, 10);
+
+  const video = await srv.request("/api/video-studio", {
+    key: "SMALL",
+    body: { prompt: "x", video_seconds: 5 },
+  });
+  assert.equal(video.status, 402);
+  assert.equal(video.body.credits_required, 5);
+  assert.equal(video.body.credits_remaining, 3);
+
+  const batch = await srv.request("/api/image-studio", {
+    key: "SMALL",
+    body: { prompt: "x", batch_count: "lots" },
+  });
+  assert.equal(batch.status, 400);
+  assert.match(batch.body.error, /batch_count/);
+
+  const after402 = await srv.request("/api/key-check", { key: "SMALL" });
+  assert.equal(after402.body.used, 0);
+
+  // кампанию без ключа отклоняем до приёма файла
+  const campaign = await srv.request("/api/brand-post/batch", {
+    headers: { "Content-Type": "text/csv" },
+    body: "idea\nx\n",
+  });
+  assert.equal(campaign.status, 402);
+});
@@ -0,0 +1,114 @@
+// Рестарт посреди генерации: задача и удержание кредитов переживают kill -9,
+// а предсказание Replicate досматривается уже новым процессом
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { startFakeReplicate, startServer, tempDir } from "./helpers.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function waitFor(check, what, timeoutMs = 20000) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`);
+    await sleep(200);
+  }
+}
+
+test("задача после kill -9 досматривается и списывает кредиты", async (t) => {
+  const fake = await startFakeReplicate({ FAKE_RUN_MS: "4000" });
+  t.after(() => fake.stop());
+
+  const dir = tempDir();
+  const options = {
+    dir,
+    env: {
+      REPLICATE_API_BASE: fake.apiBase,
+      REPLICATE_API_TOKEN: "fake",
+      REPLICATE_MODEL_SLUG_I2V_HD: "fake/wan-i2v",
+    },
+  };
+  const first = await startServer({ ...options, keys: { JOBKEY: { max: 20 } } });
+  t.after(() => first.stop());
+
+  const started = await first.request("/api/video-studio?async=1", {
+    key: "JOBKEY",
+    body: { image_url: "https://example.com/x.png", video_seconds: 5 },
+  });
+  assert.equal(started.status, 202);
+  const { status_url, job_token } = started.body;
+
+  await waitFor(async () => {
+    const job = await first.request(status_url, { key: "JOBKEY" });
+    return job.body.progress?.stage === "provider_status";
+  }, "prediction to start");
+  await first.stop("SIGKILL");
+
+  const second = await startServer(options);
+  t.after(() => second.stop());
+  await waitFor(
+    () => /resuming prediction/.test(second.log()),
+    "resume after restart"
+  );
+
+  // токен задачи пережил рестарт вместе с ней
+  const done = await waitFor(async () => {
+    const job = await second.request(status_url, {
+      headers: { "X-Job-Token": job_token },
+    });
+    return job.body.finished_at ? job.body : null;
+  }, "resumed job to finish");
+  assert.equal(done.status, "succeeded");
+  assert.equal(done.result.recovered, true);
+  assert.match(done.result.video_url, /\.mp4$/);
+
+  const check = await second.request("/api/key-check", { key: "JOBKEY" });
+  assert.equal(check.body.used, 5);
+});
+
+test("удержание без предсказания после рестарта возвращается", async (t) => {
+  // Replicate принимает соединение и молчит: предсказание так и не создано
+  const silent = net.createServer(() => {});
+  await new Promise((r) => silent.listen(0, "127.0.0.1", r));
+  t.after(() => {
+    silent.unref();
+    silent.close();
+  });
+
+  const options = {
+    dir: tempDir(),
+    env: {
+      REPLICATE_API_BASE: `http://127.0.0.1:${silent.address().port}/v1`,
+      REPLICATE_API_TOKEN: "fake",
+      REPLICATE_MODEL_SLUG_I2V_HD: "fake/wan-i2v",
+    },
+  };
+  const first = await startServer({ ...options, keys: { JOBKEY: { max: 20 } } });
+  t.after(() => first.stop());
+
+  const started = await first.request("/api/video-studio?async=1", {
+    key: "JOBKEY",
+    body: { image_url: "https://example.com/x.png", video_seconds: 5 },
+  });
+  assert.equal(started.status, 202);
+  const held = await first.request("/api/key-check", { key: "JOBKEY" });
+  assert.equal(held.body.used, 5);
+  await first.stop("SIGKILL");
+
+  const second = await startServer(options);
+  t.after(() => second.stop());
+
+  const done = await waitFor(async () => {
+    const job = await second.request(started.body.status_url, {
+      key: "JOBKEY",
+    });
+    return job.body.finished_at ? job.body : null;
+  }, "interrupted job to fail");
+  assert.equal(done.status, "failed");
+  assert.match(done.result.error, /interrupted by server restart/);
+
+  const check = await second.request("/api/key-check", { key: "JOBKEY" });
+  assert.equal(check.body.used, 0);
+});
@@ -0,0 +1,50 @@
+// Стор ключей: журнал переживает падение процесса, битый снапшот не стирает базу
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { adminHeaders, startServer, tempDir } from "./helpers.js";
+
+test("незаписанный снапшот доигрывается из журнала", async (t) => {
+  const dir = tempDir();
+  fs.mkdirSync(path.join(dir, "data"));
+  const ops = [["put", "keys", "JOURNALED", { max: 7, used: 2 }]];
+  fs.writeFileSync(
+    path.join(dir, "data", "store.json.journal"),
+    JSON.stringify({ ts: Date.now(), ops }) + "\n"
+  );
+
+  const srv = await startServer({ dir });
+  t.after(() => srv.stop());
+  assert.match(srv.log(), /replayed 1 journal entries/);
+
+  const check = await srv.request("/api/key-check", { key: "JOURNALED" });
+  assert.equal(check.status, 200);
+  assert.deepEqual([check.body.limit, check.body.used], [7, 2]);
+});
+
+test("ключ, созданный перед kill -9, есть после рестарта", async (t) => {
+  const first = await startServer();
+  const created = await first.request("/api/admin/new-key", {
+    headers: await adminHeaders(first),
+    body: { limit: 25 },
+  });
+  assert.equal(created.status, 200);
+  await first.stop("SIGKILL");
+
+  const second = await startServer({ dir: first.dir });
+  t.after(() => second.stop());
+  const check = await second.request("/api/key-check", {
+    key: created.body.key,
+  });
+  assert.equal(check.status, 200);
+  assert.equal(check.body.limit, 25);
+});
+
+test("битый снапшот — отказ стартовать, а не пустая база", async () => {
+  const dir = tempDir();
+  fs.mkdirSync(path.join(dir, "data"));
+  fs.writeFileSync(path.join(dir, "data", "store.json"), "{ not json");
+
+  await assert.rejects(startServer({ dir }), /unreadable/);
+});